@@ -1,57 +1,272 @@
 // ai.js
-import { getValidMoves, playMove, pit1Index } from "./engine.js";
+import { RuleSet, getValidMoves, playMove, pit1Index, isTerminal } from "./engine.js";
+import { Bound, hashState, makeTT, ttProbe, ttStore } from "./tt.js";
+import { endgameMatches, probeEndgame } from "./endgame.js";
+import { letterForMove } from "./notation.js";
+
+/**
+ * Evaluation weights. Leaf features (all from the root player's point of view):
+ *   store          store gain since the root, minus the opponent's (negated under misère rules)
+ *   extraTurns     extra turns earned by root along the line
+ *   pit1Empty      1 if root's pit closest to the store (pit "1") is empty
+ *   seedsOnSide    seeds in root's pits minus seeds in the opponent's pits
+ *   mobility       root's non-empty pits minus the opponent's
+ *   captureThreats biggest capture root could make next, minus the opponent's
+ *   overflow       seeds root's pits would sow past the store onto the opponent's side, minus the opponent's
+ * pit1Empty, captureThreats and overflow count 0 under Oware rules.
+ * Move ordering bonuses:
+ *   orderExtraTurn, orderCapture
+ */
+export const EvalPresets = Object.freeze({
+  // the original hand-made formula: 10 * store + extraTurns + 5 * pit1Empty
+  default: Object.freeze({
+    store: 10, extraTurns: 1, pit1Empty: 5,
+    seedsOnSide: 0, mobility: 0, captureThreats: 0, overflow: 0,
+    orderExtraTurn: 1000, orderCapture: 200,
+  }),
+  // chases extra turns and captures
+  greedy: Object.freeze({
+    store: 10, extraTurns: 4, pit1Empty: 5,
+    seedsOnSide: 0, mobility: 0, captureThreats: 3, overflow: 0,
+    orderExtraTurn: 1000, orderCapture: 500,
+  }),
+  // keeps seeds at home and avoids feeding the opponent
+  defensive: Object.freeze({
+    store: 10, extraTurns: 1, pit1Empty: 3,
+    seedsOnSide: 1, mobility: 1, captureThreats: 2, overflow: -2,
+    orderExtraTurn: 1000, orderCapture: 200,
+  }),
+});
+
+/**
+ * Resolve weights: a preset name, or a (partial) weights object on top of the defaults.
+ * store must be positive: scores are turned back into seeds by dividing by it.
+ */
+export function makeWeights(weights = "default") {
+  if (typeof weights === "string") {
+    if (!EvalPresets[weights]) throw new Error(`unknown eval preset: ${weights}`);
+    return EvalPresets[weights];
+  }
+  const w = { ...EvalPresets.default, ...weights };
+  if (!(w.store > 0)) throw new Error(`weights.store must be positive, got ${w.store}`);
+  return w;
+}
+
+function sideSeeds(st, side) {
+  let sum = 0;
+  for (const s of st.pits[side]) sum += s;
+  return sum;
+}
+
+function nonEmptyPits(st, side) {
+  let count = 0;
+  for (const s of st.pits[side]) if (s > 0) count++;
+  return count;
+}
+
+// Biggest capture `side` could make with one move (single lap only).
+function bestCapture(st, side) {
+  const n = st.pits[side].length;
+  const own = st.pits[side];
+  const opp = st.pits[1 - side];
+  let best = 0;
+  for (let i = 0; i < n; i++) {
+    const j = i + own[i];
+    if (own[i] === 0 || j >= n) continue;
+    if (own[j] === 0 && opp[n - 1 - j] > 0) best = Math.max(best, opp[n - 1 - j] + 1);
+  }
+  return best;
+}
+
+// Seeds `side` would sow past its own store, summed over its pits.
+function overflowSeeds(st, side) {
+  const n = st.pits[side].length;
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += Math.max(0, st.pits[side][i] - (n - i));
+  return sum;
+}
 
 /**
  * Evaluate leaf state for root player.
  * startStoreP/startStoreO are stores at root.
  * repRoot = number of extra turns earned by root along the line.
+ * Features with weight 0 are not computed.
  */
-function evalCost(st, rules, rootP, startStoreP, startStoreO, repRoot) {
+function evalCost(st, rules, rootP, startStoreP, startStoreO, repRoot, w) {
   const o = 1 - rootP;
 
   const dp = st.store[rootP] - startStoreP;
   const do_ = st.store[o] - startStoreO;
 
+  // pit 1, captures into an empty own pit and sowing past the store are Kalah ideas
+  const kalah = rules.ruleSet !== RuleSet.OWARE;
   const i1 = pit1Index(rules); // n-1
-  const pit1Empty = (st.pits[rootP][i1] === 0) ? 1 : 0;
+  const pit1Empty = (kalah && st.pits[rootP][i1] === 0) ? 1 : 0;
 
-  return 10 * (dp - do_) + repRoot + 5 * pit1Empty;
+  const storeSign = rules.misere ? -1 : 1;
+  let cost = storeSign * w.store * (dp - do_) + w.extraTurns * repRoot + w.pit1Empty * pit1Empty;
+  if (w.seedsOnSide) cost += w.seedsOnSide * (sideSeeds(st, rootP) - sideSeeds(st, o));
+  if (w.mobility) cost += w.mobility * (nonEmptyPits(st, rootP) - nonEmptyPits(st, o));
+  if (w.captureThreats && kalah) cost += w.captureThreats * (bestCapture(st, rootP) - bestCapture(st, o));
+  if (w.overflow && kalah) cost += w.overflow * (overflowSeeds(st, rootP) - overflowSeeds(st, o));
+  return cost;
+}
+
+/**
+ * Exact leaf value on the same scale as evalCost, for a position found in the
+ * endgame table. v = rest-of-game margin for st.toMove under perfect play.
+ */
+function exactCost(st, rules, v, rootP, startStoreP, startStoreO, repRoot, w) {
+  const o = 1 - rootP;
+  const dp = st.store[rootP] - startStoreP;
+  const do_ = st.store[o] - startStoreO;
+  const margin = (st.toMove === rootP) ? v : -v;
+  const storeSign = rules.misere ? -1 : 1;
+  return storeSign * w.store * (dp - do_ + margin) + w.extraTurns * repRoot;
 }
 
 /**
  * Simple move ordering: prefer moves that (a) give extra turn, (b) capture, (c) increase store.
- * Helps alpha-beta a lot.
+ * Helps alpha-beta a lot. A transposition-table move (if any) is always tried first.
  */
-function orderMoves(st, rules, moves) {
+function orderMoves(st, rules, moves, w, ttMove = null) {
   const p = st.toMove;
   const scored = moves.map((mv) => {
     const res = playMove(st, rules, mv);
     if (!res.ok) return { mv, score: -1e18 };
 
     // heuristic: extra turn big, capture medium, store gain small
-    const extra = res.extraTurn ? 1000 : 0;
-    const cap = res.capture?.happened ? 200 : 0;
+    const extra = res.extraTurn ? w.orderExtraTurn : 0;
+    const cap = res.capture?.happened ? w.orderCapture : 0;
     const storeGain = res.state.store[p] - st.store[p];
     return { mv, score: extra + cap + storeGain };
   });
 
   scored.sort((a, b) => b.score - a.score);
-  return scored.map(x => x.mv);
+  const ordered = scored.map(x => x.mv);
+
+  if (ttMove !== null) {
+    const at = ordered.indexOf(ttMove);
+    if (at > 0) {
+      ordered.splice(at, 1);
+      ordered.unshift(ttMove);
+    }
+  }
+  return ordered;
+}
+
+function boundFor(best, alpha0, beta0) {
+  if (best <= alpha0) return Bound.UPPER;
+  if (best >= beta0) return Bound.LOWER;
+  return Bound.EXACT;
+}
+
+// Thrown out of alphabeta when a timed search runs past its deadline.
+const TIME_UP = new Error("search time up");
+
+/**
+ * Per-search context shared by every node: the transposition table, the deadline
+ * for timed searches (Infinity = no limit), the evaluation weights, the endgame
+ * table if it fits the rules, and statistics (nodes, cutoffs, start time).
+ */
+function makeSearch(rules, opts) {
+  const endgame = endgameMatches(opts.endgame, rules) ? opts.endgame : null;
+  return {
+    tt: makeTT(), deadline: Infinity, w: makeWeights(opts.weights), endgame,
+    nodes: 0, cutoffs: 0, started: Date.now(),
+  };
 }
 
-function alphabeta(st, rules, depth, alpha, beta, rootP, startStoreP, startStoreO, repRoot) {
+/**
+ * Principal variation as a move string (notation.js letters): the root move, then
+ * the TT move of each following position. Stops at maxLen plies, a position without
+ * an entry (leaf, endgame-table hit, entry overwritten) or the end of the game.
+ */
+function principalVariation(st, rules, move, maxLen, sc) {
+  const out = [];
+  const seen = new Set();
+  let cur = st;
+  let mv = move;
+  while (mv !== null && out.length < maxLen) {
+    const res = playMove(cur, rules, mv);
+    if (!res.ok) break;
+    out.push(letterForMove(res.mover, mv));
+    cur = res.state;
+    if (isTerminal(cur, rules)) break;
+
+    const key = hashState(cur);
+    if (seen.has(key)) break;
+    seen.add(key);
+    const entry = ttProbe(sc.tt, key);
+    mv = entry ? entry.move : null;
+  }
+  return out.join("");
+}
+
+/** Result / progress record shared by bestMove and bestMoveTimed. */
+function searchReport(st, rules, r, depth, sc) {
+  return {
+    move: r.move,
+    score: r.score,
+    depth,
+    pv: principalVariation(st, rules, r.move, depth, sc),
+    nodes: sc.nodes,
+    cutoffs: sc.cutoffs,
+    timeMs: Date.now() - sc.started,
+  };
+}
+
+const NO_MOVE = Object.freeze({
+  hasMove: false, move: -1, score: -Infinity, depth: 0, pv: "", nodes: 0, cutoffs: 0, timeMs: 0,
+});
+
+/**
+ * Alpha-beta with a transposition table.
+ *
+ * TT values are stored WITHOUT the repRoot term: every leaf below a node adds the same
+ * w.extraTurns * repRoot, so a subtree's value is just shifted by it and the entry
+ * stays valid for any line that transposes into this position.
+ */
+function alphabeta(st, rules, depth, alpha, beta, rootP, startStoreP, startStoreO, repRoot, sc) {
+  // check the clock every 1024 nodes only; Date.now() is not free
+  if ((++sc.nodes & 1023) === 0 && Date.now() > sc.deadline) throw TIME_UP;
+
+  // solved position: exact value, no need to search further
+  if (sc.endgame) {
+    const v = probeEndgame(sc.endgame, st);
+    if (v !== null) return exactCost(st, rules, v, rootP, startStoreP, startStoreO, repRoot, sc.w);
+  }
+
   // leaf
-  if (depth <= 0 || st.terminal) {
-    return evalCost(st, rules, rootP, startStoreP, startStoreO, repRoot);
+  if (depth <= 0 || isTerminal(st, rules)) {
+    return evalCost(st, rules, rootP, startStoreP, startStoreO, repRoot, sc.w);
   }
 
   const moves = getValidMoves(st, rules);
   if (moves.length === 0) {
-    return evalCost(st, rules, rootP, startStoreP, startStoreO, repRoot);
+    return evalCost(st, rules, rootP, startStoreP, startStoreO, repRoot, sc.w);
   }
 
+  const tt = sc.tt;
+  const repCost = sc.w.extraTurns * repRoot;
+  const key = hashState(st);
+  const entry = ttProbe(tt, key);
+  let ttMove = null;
+  if (entry) {
+    ttMove = entry.move;
+    if (entry.depth >= depth) {
+      const v = entry.value + repCost;
+      if (entry.bound === Bound.EXACT) return v;
+      if (entry.bound === Bound.LOWER && v >= beta) return v;
+      if (entry.bound === Bound.UPPER && v <= alpha) return v;
+    }
+  }
+
+  const alpha0 = alpha;
+  const beta0 = beta;
   const maximizing = (st.toMove === rootP);
-  const ordered = orderMoves(st, rules, moves);
+  const ordered = orderMoves(st, rules, moves, sc.w, ttMove);
+  let bestMv = null;
 
   if (maximizing) {
     let best = -Infinity;
@@ -63,11 +278,18 @@ function alphabeta(st, rules, depth, alpha, beta, rootP, startStoreP, startStore
       let rep2 = repRoot;
       if (res.mover === rootP && res.extraTurn) rep2 += 1;
 
-      const val = alphabeta(res.state, rules, depth - 1, alpha, beta, rootP, startStoreP, startStoreO, rep2);
-      best = Math.max(best, val);
+      const val = alphabeta(res.state, rules, depth - 1, alpha, beta, rootP, startStoreP, startStoreO, rep2, sc);
+      if (val > best) {
+        best = val;
+        bestMv = mv;
+      }
       alpha = Math.max(alpha, best);
-      if (alpha >= beta) break;
+      if (alpha >= beta) {
+        sc.cutoffs++;
+        break;
+      }
     }
+    ttStore(tt, key, depth, best - repCost, boundFor(best, alpha0, beta0), bestMv);
     return best;
   } else {
     let best = Infinity;
@@ -78,37 +300,39 @@ function alphabeta(st, rules, depth, alpha, beta, rootP, startStoreP, startStore
       let rep2 = repRoot;
       if (res.mover === rootP && res.extraTurn) rep2 += 1;
 
-      const val = alphabeta(res.state, rules, depth - 1, alpha, beta, rootP, startStoreP, startStoreO, rep2);
-      best = Math.min(best, val);
+      const val = alphabeta(res.state, rules, depth - 1, alpha, beta, rootP, startStoreP, startStoreO, rep2, sc);
+      if (val < best) {
+        best = val;
+        bestMv = mv;
+      }
       beta = Math.min(beta, best);
-      if (alpha >= beta) break;
+      if (alpha >= beta) {
+        sc.cutoffs++;
+        break;
+      }
     }
+    ttStore(tt, key, depth, best - repCost, boundFor(best, alpha0, beta0), bestMv);
     return best;
   }
 }
 
 /**
- * Compute best move for the current player st.toMove, using alpha-beta minimax.
- * Returns:
- *  { hasMove: boolean, move: number, score: number }
+ * One full-width root search at a fixed depth. Returns { move, score }.
+ * The TT move from a previous (shallower) iteration, if any, is searched first.
  */
-export function bestMove(st, rules, depth) {
-  const moves = getValidMoves(st, rules);
-  if (moves.length === 0) return { hasMove: false, move: -1, score: -Infinity };
-
+function searchRoot(st, rules, moves, depth, sc) {
   const rootP = st.toMove;
   const startStoreP = st.store[rootP];
   const startStoreO = st.store[1 - rootP];
 
-  // Depth policy: if depth<=0, still pick best 1-ply by evaluating after move.
-  const searchDepth = (depth <= 0) ? 1 : depth;
-
   let bestMv = moves[0];
   let bestScore = -Infinity;
   let alpha = -Infinity;
   const beta = Infinity;
 
-  const ordered = orderMoves(st, rules, moves);
+  const rootKey = hashState(st);
+  const entry = ttProbe(sc.tt, rootKey);
+  const ordered = orderMoves(st, rules, moves, sc.w, entry ? entry.move : null);
 
   for (const mv of ordered) {
     const res = playMove(st, rules, mv);
@@ -117,8 +341,8 @@ export function bestMove(st, rules, depth) {
     let repRoot = 0;
     if (res.mover === rootP && res.extraTurn) repRoot = 1;
 
-    const val = alphabeta(res.state, rules, searchDepth - 1, alpha, beta,
-                          rootP, startStoreP, startStoreO, repRoot);
+    const val = alphabeta(res.state, rules, depth - 1, alpha, beta,
+                          rootP, startStoreP, startStoreO, repRoot, sc);
 
     if (val > bestScore) {
       bestScore = val;
@@ -127,20 +351,86 @@ export function bestMove(st, rules, depth) {
     alpha = Math.max(alpha, bestScore);
   }
 
-  return { hasMove: true, move: bestMv, score: bestScore };
+  ttStore(sc.tt, rootKey, depth, bestScore, Bound.EXACT, bestMv);
+  return { move: bestMv, score: bestScore };
+}
+
+/**
+ * Compute best move for the current player st.toMove, using alpha-beta minimax.
+ * opts: {
+ *   weights,   // preset name or weights object (see EvalPresets), default "default"
+ *   endgame,   // table from endgame.js, used for exact leaf values
+ * }
+ * Returns:
+ *  { hasMove: boolean, move: number, score: number, depth: number,
+ *    pv: string, nodes: number, cutoffs: number, timeMs: number }
+ *  pv = principal variation in move notation, starting with move;
+ *  cutoffs = alpha-beta cutoffs (TT hits not included).
+ */
+export function bestMove(st, rules, depth, opts = {}) {
+  const moves = getValidMoves(st, rules);
+  if (moves.length === 0) return { ...NO_MOVE };
+
+  // Depth policy: if depth<=0, still pick best 1-ply by evaluating after move.
+  const searchDepth = (depth <= 0) ? 1 : depth;
+
+  const sc = makeSearch(rules, opts);
+  const r = searchRoot(st, rules, moves, searchDepth, sc);
+  return { hasMove: true, ...searchReport(st, rules, r, searchDepth, sc) };
+}
+
+/**
+ * Iterative deepening under a time budget: search depth 1, 2, 3, ... until timeMs
+ * runs out (or maxDepth is reached) and return the result of the deepest iteration
+ * that FINISHED. Depth 1 always finishes, so a legal move is always returned.
+ * With timeMs = Infinity this is a plain fixed-depth search to maxDepth.
+ * opts: { maxDepth = 64, onIteration, weights, endgame }
+ *   onIteration({ depth, move, score, pv, nodes, cutoffs, timeMs }) is called after
+ *   every finished iteration (nodes/cutoffs/timeMs count from the start of the search).
+ * Returns: same as bestMove; the statistics include the unfinished last iteration.
+ */
+export function bestMoveTimed(st, rules, timeMs, opts = {}) {
+  const { maxDepth = 64, onIteration = null } = opts;
+  const moves = getValidMoves(st, rules);
+  if (moves.length === 0) return { ...NO_MOVE };
+
+  const sc = makeSearch(rules, opts);
+  // PV is taken right after each finished iteration: an aborted one rewrites TT entries
+  let report = searchReport(st, rules, searchRoot(st, rules, moves, 1, sc), 1, sc);
+  if (onIteration) onIteration(report);
+
+  // Forced move: nothing to think about
+  if (moves.length === 1) return { hasMove: true, ...report };
+
+  sc.deadline = Date.now() + timeMs;
+  for (let d = 2; d <= maxDepth; d++) {
+    try {
+      report = searchReport(st, rules, searchRoot(st, rules, moves, d, sc), d, sc);
+      if (onIteration) onIteration(report);
+    } catch (e) {
+      if (e !== TIME_UP) throw e;
+      break;
+    }
+    if (Date.now() > sc.deadline) break;
+  }
+
+  return { hasMove: true, ...report, nodes: sc.nodes, cutoffs: sc.cutoffs, timeMs: Date.now() - sc.started };
 }
 
 /**
  * Optional helper: score every legal move (useful for "cheat" / UI).
+ * opts: same as bestMove.
  * Returns array of { move, score } sorted best-first.
  */
-export function scoreMoves(st, rules, depth) {
+export function scoreMoves(st, rules, depth, opts = {}) {
   const moves = getValidMoves(st, rules);
   const rootP = st.toMove;
   const startStoreP = st.store[rootP];
   const startStoreO = st.store[1 - rootP];
   const searchDepth = (depth <= 0) ? 1 : depth;
 
+  // One table for all root moves: their subtrees transpose into each other constantly.
+  const sc = makeSearch(rules, opts);
   const out = [];
   for (const mv of moves) {
     const res = playMove(st, rules, mv);
@@ -150,9 +440,26 @@ export function scoreMoves(st, rules, depth) {
     if (res.mover === rootP && res.extraTurn) repRoot = 1;
 
     const score = alphabeta(res.state, rules, searchDepth - 1, -Infinity, Infinity,
-                            rootP, startStoreP, startStoreO, repRoot);
+                            rootP, startStoreP, startStoreO, repRoot, sc);
     out.push({ move: mv, score });
   }
   out.sort((a, b) => b.score - a.score);
   return out;
-}
\ No newline at end of file
+}
+
+/**
+ * Evaluation of a position from P0's point of view, in seeds: the store difference so
+ * far plus what a depth-limited search expects from here on. Under misère rules the
+ * store difference is flipped, so positive always means "good for P0".
+ * opts: same as bestMove.
+ */
+export function evaluateForP0(st, rules, depth, opts = {}) {
+  const storeSign = rules.misere ? -1 : 1;
+  const now = storeSign * (st.store[0] - st.store[1]);
+  if (isTerminal(st, rules)) return now;
+
+  const r = bestMove(st, rules, depth, opts);
+  if (!r.hasMove) return now;
+  const future = r.score / makeWeights(opts.weights).store;
+  return now + (st.toMove === 0 ? future : -future);
+}
@@ -0,0 +1,74 @@
+// annotate.js
+// Post-game annotation: how much evaluation each move gave away compared with the
+// engine's best move, and a per-player accuracy summary.
+//
+// Losses are in seeds (search score / store weight), from the mover's point of view.
+
+import { getValidMoves } from "./engine.js";
+import { scoreMoves, makeWeights } from "./ai.js";
+
+export const Label = Object.freeze({
+  BEST: "best",
+  INACCURACY: "inaccuracy",
+  MISTAKE: "mistake",
+  BLUNDER: "blunder",
+});
+
+// upper loss bound (seeds, inclusive) of each label
+const THRESHOLDS = [
+  [0.5, Label.BEST],
+  [2, Label.INACCURACY],
+  [4, Label.MISTAKE],
+];
+
+export function classifyLoss(loss) {
+  for (const [max, label] of THRESHOLDS) {
+    if (loss <= max) return label;
+  }
+  return Label.BLUNDER;
+}
+
+/**
+ * Annotate the move played in st.
+ * opts: same as bestMove (weights, endgame).
+ * Returns { label, loss, best } (best = engine's move; loss = 0 when move is best).
+ */
+export function annotateMove(st, rules, move, depth, opts = {}) {
+  const storeWeight = makeWeights(opts.weights).store; // throws on a store weight <= 0
+  // forced move: nothing to lose
+  if (getValidMoves(st, rules).length === 1) return { label: Label.BEST, loss: 0, best: move };
+
+  const scores = scoreMoves(st, rules, depth, opts);
+  const best = scores[0];
+  const played = scores.find(x => x.move === move);
+  if (!played) throw new Error(`annotateMove: ${move} is not a legal move`);
+
+  const loss = Math.round(10 * (best.score - played.score) / storeWeight) / 10;
+  return { label: classifyLoss(loss), loss, best: best.move };
+}
+
+/**
+ * Per-player summary of annotated moves: notes = [{ mover, note }] (note from annotateMove).
+ * A move's accuracy is 100 * exp(-loss / 4): 100% for the best move, ~37% for a
+ * 4-seed mistake. Returns [{ moves, accuracy, avgLoss, inaccuracy, mistake, blunder }]
+ * indexed by player (accuracy/avgLoss are null for a player without moves).
+ */
+export function accuracySummary(notes) {
+  const out = [0, 1].map(() => ({ moves: 0, accuracy: null, avgLoss: null, inaccuracy: 0, mistake: 0, blunder: 0 }));
+  const sums = [{ acc: 0, loss: 0 }, { acc: 0, loss: 0 }];
+
+  for (const { mover, note } of notes) {
+    const p = out[mover];
+    p.moves++;
+    sums[mover].acc += 100 * Math.exp(-note.loss / 4);
+    sums[mover].loss += note.loss;
+    if (note.label !== Label.BEST) p[note.label]++;
+  }
+  for (const side of [0, 1]) {
+    const p = out[side];
+    if (p.moves === 0) continue;
+    p.accuracy = sums[side].acc / p.moves;
+    p.avgLoss = sums[side].loss / p.moves;
+  }
+  return out;
+}
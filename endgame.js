@@ -0,0 +1,286 @@
+// endgame.js
+// Perfect-play endgame tables for Kalah positions with few seeds left in play.
+//
+// Only the pits and the side to move matter for the rest of the game: stores just
+// accumulate. So a table entry holds the exact future margin for the side to move
+// (its future store gains minus the opponent's) under best play by both sides.
+//
+// Under misère rules the side to move minimises its margin instead.
+//
+// Positions are solved backwards from terminal positions: every move either puts
+// seeds into a store (fewer seeds in play) or moves seeds forward on one side, so
+// the move graph is acyclic and each position only depends on already-solved ones.
+//
+// Compact format (serializeEndgameTable):
+//   bytes 0..3   "KEDB"
+//   byte  4      format version
+//   byte  5      pitsPerSide
+//   byte  6      maxSeeds
+//   byte  7      flags: 1 = extraTurnOnStore, 2 = sweepOnGameEnd, 4 = Kalah capture, 8 = misère
+//   bytes 8..11  entry count (uint32, little endian)
+//   bytes 12..   one int8 per entry (margin for the side to move)
+
+import { CaptureRule, RuleSet, cloneState, isTerminal, getValidMoves, playMove } from "./engine.js";
+
+const MAGIC = "KEDB";
+const VERSION = 1;
+const HEADER_BYTES = 12;
+const UNKNOWN = -128;
+
+function flagsFor(rules) {
+  return (rules.extraTurnOnStore ? 1 : 0)
+       | (rules.sweepOnGameEnd ? 2 : 0)
+       | (rules.captureRule === CaptureRule.KALAH ? 4 : 0)
+       | (rules.misere ? 8 : 0);
+}
+
+/** Throws if the rules cannot be solved by this generator. */
+function checkSupported(rules, maxSeeds) {
+  if (rules.ruleSet !== RuleSet.KALAH) throw new Error("endgame tables only support Kalah rules");
+  if (rules.allowMoveFromEmpty) throw new Error("endgame tables need allowMoveFromEmpty=false (passing moves make cycles)");
+  if (!Number.isInteger(maxSeeds) || maxSeeds < 0 || maxSeeds > 127) throw new Error("maxSeeds must be an int in 0..127");
+}
+
+// comps[k][c] = number of ways to put k seeds into c cells
+function compositionTable(maxSeeds, cells) {
+  const comps = [];
+  for (let k = 0; k <= maxSeeds; k++) {
+    comps.push(new Array(cells + 1).fill(0));
+    for (let c = 0; c <= cells; c++) {
+      if (c === 0) comps[k][c] = (k === 0) ? 1 : 0;
+      else if (k === 0) comps[k][c] = 1;
+      else comps[k][c] = comps[k - 1][c] + comps[k][c - 1];
+    }
+  }
+  return comps;
+}
+
+function makeTable(rules, maxSeeds, values) {
+  const n = rules.pitsPerSide;
+  const cells = 2 * n;
+  const comps = compositionTable(maxSeeds, cells);
+
+  // offsets[k] = number of positions with fewer than k seeds
+  const offsets = [0];
+  for (let k = 0; k < maxSeeds; k++) offsets.push(offsets[k] + comps[k][cells]);
+  const positions = offsets[maxSeeds] + comps[maxSeeds][cells];
+
+  return {
+    pitsPerSide: n,
+    maxSeeds,
+    flags: flagsFor(rules),
+    comps,
+    offsets,
+    entries: positions * 2,
+    values: values || new Int8Array(positions * 2).fill(UNKNOWN),
+  };
+}
+
+function seedsInPlay(st) {
+  let k = 0;
+  for (let side = 0; side < 2; side++) {
+    for (const s of st.pits[side]) k += s;
+  }
+  return k;
+}
+
+/** Entry index of a position (pits + toMove); the caller checks seedsInPlay <= maxSeeds. */
+function indexOf(table, st, k) {
+  const n = table.pitsPerSide;
+  const cells = 2 * n;
+  let rank = 0;
+  let left = k;
+  for (let c = 0; c < cells - 1; c++) {
+    const v = (c < n) ? st.pits[0][c] : st.pits[1][c - n];
+    // every position where this cell holds fewer seeds comes first
+    for (let x = 0; x < v; x++) rank += table.comps[left - x][cells - c - 1];
+    left -= v;
+  }
+  return (table.offsets[k] + rank) * 2 + st.toMove;
+}
+
+/** Does a table apply to these rules? */
+export function endgameMatches(table, rules) {
+  return !!table &&
+    table.pitsPerSide === rules.pitsPerSide &&
+    table.flags === flagsFor(rules) &&
+    rules.ruleSet === RuleSet.KALAH &&
+    !rules.allowMoveFromEmpty;
+}
+
+/**
+ * Exact future margin for st.toMove (their future store gains minus the
+ * opponent's), or null when the position has more than table.maxSeeds in play
+ * (or a pie-rule swap is still open, for either side: tables only hold positions
+ * without one).
+ */
+export function probeEndgame(table, st) {
+  if (st.pieSide !== -1) return null;
+  const k = seedsInPlay(st);
+  if (k > table.maxSeeds) return null;
+  return table.values[indexOf(table, st, k)];
+}
+
+/** Margin of a game that is already over: only the final sweep (if any) is left. */
+function terminalMargin(st, rules) {
+  if (!rules.sweepOnGameEnd) return 0;
+  let mine = 0, theirs = 0;
+  for (const s of st.pits[st.toMove]) mine += s;
+  for (const s of st.pits[1 - st.toMove]) theirs += s;
+  return mine - theirs;
+}
+
+function solve(table, rules, st) {
+  const idx = indexOf(table, st, seedsInPlay(st));
+  const known = table.values[idx];
+  if (known !== UNKNOWN) return known;
+
+  let best;
+  if (isTerminal(st, rules)) {
+    best = terminalMargin(st, rules);
+  } else {
+    const pick = rules.misere ? Math.min : Math.max;
+    best = null;
+    const mover = st.toMove;
+    const opp = 1 - mover;
+    for (const mv of getValidMoves(st, rules)) {
+      const res = playMove(st, rules, mv);
+      if (!res.ok) continue;
+
+      const gain = (res.state.store[mover] - st.store[mover]) - (res.state.store[opp] - st.store[opp]);
+      // playMove already swept a finished game into the stores
+      let rest = 0;
+      if (!isTerminal(res.state, rules)) {
+        const next = cloneState(res.state);
+        next.store = [0, 0];
+        const v = solve(table, rules, next);
+        rest = (next.toMove === mover) ? v : -v;
+      }
+      best = (best === null) ? gain + rest : pick(best, gain + rest);
+    }
+    if (best === null) best = 0; // no legal move: nothing more to gain
+  }
+
+  table.values[idx] = best;
+  return best;
+}
+
+/**
+ * Solve every position with up to maxSeeds seeds in play for these rules.
+ * onProgress(done, total) is called now and then (it can take a while for
+ * maxSeeds above ~10 on the standard board).
+ */
+export function buildEndgameTable(rules, maxSeeds, onProgress = null) {
+  checkSupported(rules, maxSeeds);
+
+  const table = makeTable(rules, maxSeeds);
+  const n = rules.pitsPerSide;
+  const cells = 2 * n;
+  const total = table.values.length;
+  const st = { pits: [new Array(n).fill(0), new Array(n).fill(0)], store: [0, 0], toMove: 0 };
+  let done = 0;
+
+  // visit every distribution of k seeds over the 2n pits, both sides to move
+  function fill(c, left) {
+    if (c === cells - 1) {
+      st.pits[1][n - 1] = left;
+      for (const toMove of [0, 1]) {
+        st.toMove = toMove;
+        solve(table, rules, cloneState(st));
+        done++;
+        if (onProgress && (done & 0xffff) === 0) onProgress(done, total);
+      }
+      return;
+    }
+    for (let v = 0; v <= left; v++) {
+      if (c < n) st.pits[0][c] = v;
+      else st.pits[1][c - n] = v;
+      fill(c + 1, left - v);
+    }
+  }
+
+  for (let k = 0; k <= maxSeeds; k++) fill(0, k);
+  if (onProgress) onProgress(total, total);
+  return table;
+}
+
+/** Table -> Uint8Array in the format described at the top of this file. */
+export function serializeEndgameTable(table) {
+  const bytes = new Uint8Array(HEADER_BYTES + table.values.length);
+  for (let i = 0; i < 4; i++) bytes[i] = MAGIC.charCodeAt(i);
+  bytes[4] = VERSION;
+  bytes[5] = table.pitsPerSide;
+  bytes[6] = table.maxSeeds;
+  bytes[7] = table.flags;
+  new DataView(bytes.buffer).setUint32(8, table.values.length, true);
+  bytes.set(new Uint8Array(table.values.buffer, table.values.byteOffset, table.values.length), HEADER_BYTES);
+  return bytes;
+}
+
+/** Uint8Array -> table. Throws on anything that is not a table in this format. */
+export function deserializeEndgameTable(bytes) {
+  if (bytes.length < HEADER_BYTES) throw new Error("endgame table: truncated header");
+  for (let i = 0; i < 4; i++) {
+    if (bytes[i] !== MAGIC.charCodeAt(i)) throw new Error("endgame table: bad magic");
+  }
+  if (bytes[4] !== VERSION) throw new Error(`endgame table: unsupported version ${bytes[4]}`);
+
+  const count = new DataView(bytes.buffer, bytes.byteOffset).getUint32(8, true);
+  if (bytes.length !== HEADER_BYTES + count) throw new Error("endgame table: wrong length");
+
+  // Rebuild just the rule fields that the table layout and flags depend on.
+  const rules = {
+    pitsPerSide: bytes[5],
+    extraTurnOnStore: !!(bytes[7] & 1),
+    sweepOnGameEnd: !!(bytes[7] & 2),
+    captureRule: (bytes[7] & 4) ? CaptureRule.KALAH : CaptureRule.NONE,
+    misere: !!(bytes[7] & 8),
+  };
+  const values = new Int8Array(bytes.buffer, bytes.byteOffset + HEADER_BYTES, count);
+  const table = makeTable(rules, bytes[6], values);
+  if (table.entries !== count) throw new Error("endgame table: entry count does not match header");
+  return table;
+}
+
+// ---------- IndexedDB persistence (browser / worker only) ----------
+const DB_NAME = "mancala-endgame";
+const DB_STORE = "tables";
+
+function tableKey(rules, maxSeeds) {
+  return `n${rules.pitsPerSide}-f${flagsFor(rules)}-k${maxSeeds}`;
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Save a table's serialized bytes. No-op where IndexedDB is unavailable. */
+export async function saveEndgameBytes(rules, maxSeeds, bytes) {
+  if (typeof indexedDB === "undefined") return;
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, "readwrite");
+    tx.objectStore(DB_STORE).put(bytes, tableKey(rules, maxSeeds));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+  db.close();
+}
+
+/** Load saved bytes for these rules/maxSeeds, or null. */
+export async function loadEndgameBytes(rules, maxSeeds) {
+  if (typeof indexedDB === "undefined") return null;
+  const db = await openDb();
+  const bytes = await new Promise((resolve, reject) => {
+    const req = db.transaction(DB_STORE, "readonly").objectStore(DB_STORE).get(tableKey(rules, maxSeeds));
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+  db.close();
+  return bytes;
+}
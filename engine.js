@@ -7,43 +7,125 @@
 // - pit "1" closest to store from a player's perspective corresponds to index n-1
 //
 // A "move" is choosing pit_index on the CURRENT player's side.
+//
+// Rule sets:
+// - KALAH: sowing passes through the mover's store; options below pick the variant.
+// - OWARE: Oware Abapa. Stores only hold captured seeds and are never sown into;
+//   the Kalah-only options (extra turn, capture rule, moves from empty pits) are fixed.
+//
+// Options for both rule sets:
+// - pieRule: once the first player's opening turn is over, the other player may answer
+//   with SWAP_MOVE instead of a pit and take over the first player's position.
+// - randomOpening: seeds start in a random distribution (same on both sides), picked by
+//   the openingSeed passed to initStandard.
+// - misere: the smaller store wins.
+
+/** The pie-rule swap, playable wherever a pit index is. */
+export const SWAP_MOVE = -1;
+
+export const RuleSet = Object.freeze({
+  KALAH: "kalah",
+  OWARE: "oware",   // Oware Abapa
+});
 
 export const CaptureRule = Object.freeze({
   KALAH: "kalah",   // standard Kalah capture
   NONE: "none",
+  OWARE: "oware",   // 2s and 3s on the opponent's side, chaining backwards (set by RuleSet.OWARE)
 });
 
 export function makeRules({
+  ruleSet = RuleSet.KALAH,
   pitsPerSide = 6,
   seedsPerPit = 4,
   extraTurnOnStore = true,
   sweepOnGameEnd = true,
   captureRule = CaptureRule.KALAH,
   allowMoveFromEmpty = false,
+  loopLimit = 100,
+  pieRule = false,
+  randomOpening = false,
+  misere = false,
 } = {}) {
+  if (ruleSet !== RuleSet.KALAH && ruleSet !== RuleSet.OWARE) throw new Error(`unknown ruleSet: ${ruleSet}`);
   if (!Number.isInteger(pitsPerSide) || pitsPerSide <= 0) throw new Error("pitsPerSide must be positive int");
   if (!Number.isInteger(seedsPerPit) || seedsPerPit < 0) throw new Error("seedsPerPit must be nonnegative int");
+  if (!Number.isInteger(loopLimit) || loopLimit <= 0) throw new Error("loopLimit must be positive int");
+
+  if (ruleSet === RuleSet.OWARE) {
+    // Oware: no extra turns, remaining seeds always go to their owners at the end.
+    return {
+      ruleSet,
+      pitsPerSide,
+      seedsPerPit,
+      extraTurnOnStore: false,
+      sweepOnGameEnd: true,
+      captureRule: CaptureRule.OWARE,
+      allowMoveFromEmpty: false,
+      loopLimit,   // plies without a capture before the game is declared a loop
+      pieRule,
+      randomOpening,
+      misere,
+    };
+  }
+
+  if (captureRule === CaptureRule.OWARE) throw new Error("CaptureRule.OWARE needs ruleSet OWARE");
   return {
+    ruleSet,
     pitsPerSide,
     seedsPerPit,
     extraTurnOnStore,
     sweepOnGameEnd,
     captureRule,
     allowMoveFromEmpty,
+    loopLimit,
+    pieRule,
+    randomOpening,
+    misere,
+  };
+}
+
+function isOware(rules) {
+  return rules.ruleSet === RuleSet.OWARE;
+}
+
+// mulberry32: small deterministic PRNG, so an opening seed always deals the same board
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
 }
 
-/** State factory */
-export function initStandard(rules, toMove = 0) {
+/**
+ * Random opening for one side (pitsPerSide * seedsPerPit seeds dealt one at a time
+ * into random pits). Both sides get the same array, so neither is favoured.
+ */
+export function symmetricOpening(rules, openingSeed) {
+  const n = rules.pitsPerSide;
+  const rand = mulberry32(openingSeed);
+  const pits = Array(n).fill(0);
+  for (let i = 0; i < n * rules.seedsPerPit; i++) pits[Math.floor(rand() * n)]++;
+  return pits;
+}
+
+/** State factory. openingSeed is only used with rules.randomOpening. */
+export function initStandard(rules, toMove = 0, openingSeed = 0) {
   const n = rules.pitsPerSide;
-  const pits = [
-    Array(n).fill(rules.seedsPerPit),
-    Array(n).fill(rules.seedsPerPit),
-  ];
+  const side = rules.randomOpening
+    ? symmetricOpening(rules, openingSeed)
+    : Array(n).fill(rules.seedsPerPit);
+  const first = toMove === 1 ? 1 : 0;
   return {
-    pits,
+    pits: [side.slice(), side.slice()],
     store: [0, 0],
-    toMove: toMove === 1 ? 1 : 0,
+    toMove: first,
+    sinceCapture: 0,   // Oware loop counter (plies since the last capture); always 0 in Kalah
+    pieSide: rules.pieRule ? 1 - first : -1,   // side that may still SWAP_MOVE, -1 = none
   };
 }
 
@@ -56,18 +138,75 @@ export function initFromArrays(rules, pits0, pits1, store0 = 0, store1 = 0, toMo
     pits: [pits0.slice(), pits1.slice()],
     store: [store0 | 0, store1 | 0],
     toMove: toMove === 1 ? 1 : 0,
+    sinceCapture: 0,
+    pieSide: -1,
   };
 }
 
+/**
+ * Sanity check for a set-up position (initFromArrays).
+ * Returns { ok: true, total, warnings: [string] } or { ok: false, error }.
+ * total = seeds on the board and in the stores; warnings are things that are allowed
+ * but probably not meant (a total other than the standard one, a game already over).
+ */
+export function checkPosition(st, rules) {
+  const counts = [...st.pits[0], ...st.pits[1], ...st.store];
+  if (!counts.every(x => Number.isInteger(x) && x >= 0)) {
+    return { ok: false, error: "Seed counts must be whole numbers ≥ 0" };
+  }
+  const onBoard = sideSeeds(st, 0) + sideSeeds(st, 1);
+  if (onBoard === 0) return { ok: false, error: "There are no seeds left in the pits" };
+
+  const total = onBoard + st.store[0] + st.store[1];
+  const standard = 2 * rules.pitsPerSide * rules.seedsPerPit;
+  const warnings = [];
+  if (total !== standard) warnings.push(`${total} seeds in play; a standard game has ${standard}`);
+  if (isTerminal(st, rules) || getValidMoves(st, rules).length === 0) {
+    warnings.push("the game is already over in this position");
+  }
+  return { ok: true, total, warnings };
+}
+
 export function cloneState(st) {
   return {
     pits: [st.pits[0].slice(), st.pits[1].slice()],
     store: [st.store[0], st.store[1]],
     toMove: st.toMove,
+    sinceCapture: st.sinceCapture | 0,
+    pieSide: st.pieSide ?? -1,
   };
 }
 
+/** Winner by stores: 0 or 1, or -1 for a draw. Misère: the smaller store wins. */
+export function winnerOf(st, rules) {
+  const diff = st.store[0] - st.store[1];
+  if (diff === 0) return -1;
+  return ((diff > 0) !== !!rules.misere) ? 0 : 1;
+}
+
+function sideSeeds(st, side) {
+  let sum = 0;
+  for (const s of st.pits[side]) sum += s;
+  return sum;
+}
+
+/**
+ * Oware ends when a player holds more than half of all seeds (or both hold exactly
+ * half), when the game loops (loopLimit plies without a capture), or when the player
+ * to move has no legal move (no seeds, or cannot feed a starved opponent).
+ */
+function isTerminalOware(st, rules) {
+  const total = sideSeeds(st, 0) + sideSeeds(st, 1) + st.store[0] + st.store[1];
+  const half = total / 2;
+  if (st.store[0] > half || st.store[1] > half) return true;
+  if (st.store[0] === half && st.store[1] === half) return true;
+  if ((st.sinceCapture | 0) >= rules.loopLimit) return true;
+  return getValidMoves(st, rules).length === 0;
+}
+
 export function isTerminal(st, rules) {
+  if (isOware(rules)) return isTerminalOware(st, rules);
+
   const n = rules.pitsPerSide;
   let z0 = true, z1 = true;
   for (let i = 0; i < n; i++) {
@@ -77,6 +216,8 @@ export function isTerminal(st, rules) {
   return z0 || z1;
 }
 
+// Oware uses the same sweep: a loop, a starved opponent or a decided game all end
+// with each player taking the seeds left on their own side.
 export function finalizeIfTerminal(st, rules) {
   if (!isTerminal(st, rules)) return st;
   if (!rules.sweepOnGameEnd) return st;
@@ -98,15 +239,48 @@ export function finalizeIfTerminal(st, rules) {
 export function getValidMoves(st, rules) {
   const p = st.toMove;
   const n = rules.pitsPerSide;
+  // Oware: if the opponent has no seeds, only moves that reach their side are legal
+  const mustFeed = isOware(rules) && sideSeeds(st, 1 - p) === 0;
   const moves = [];
   for (let i = 0; i < n; i++) {
     const seeds = st.pits[p][i];
     if (!rules.allowMoveFromEmpty && seeds === 0) continue;
+    if (mustFeed && seeds < n - i) continue;
     moves.push(i);
   }
+  if (moves.length > 0 && st.pieSide === p) moves.push(SWAP_MOVE);
   return moves;
 }
 
+/**
+ * Pie rule: the side to move takes over the opponent's position. Sides keep their
+ * players, so the board is mirrored (pits and stores swap sides) and the opponent,
+ * now holding the other position, is to move.
+ */
+function playSwap(st, rules) {
+  const mover = st.toMove;
+  if (st.pieSide !== mover) return { ok: false, error: "swap not available" };
+
+  const ns = cloneState(st);
+  ns.pits = [st.pits[1].slice(), st.pits[0].slice()];
+  ns.store = [st.store[1], st.store[0]];
+  ns.toMove = 1 - mover;
+  ns.pieSide = -1;
+
+  return {
+    ok: true,
+    state: ns,
+    path: [],
+    mover,
+    pitIndex: SWAP_MOVE,
+    extraTurn: false,
+    capture: { happened: false },
+    swap: true,
+    terminal: false,
+    winner: null,
+  };
+}
+
 /**
  * Returns a list of drop locations for sowing animation (one entry per seed).
  * Each entry: { kind: "pit"|"store", side: 0|1, index?: pitIndex }
@@ -140,6 +314,94 @@ function sowPath(st, rules, mover, pitIndex) {
   return path;
 }
 
+/**
+ * Oware sowing: 2n pits, no stores, and the origin pit is skipped on laps (12+ seeds).
+ * Same entry format as sowPath.
+ */
+function sowPathOware(st, rules, mover, pitIndex) {
+  const n = rules.pitsPerSide;
+  let hand = st.pits[mover][pitIndex];
+  const path = [];
+
+  // ring positions 0..2n-1: 0..n-1 mover pits, n..2n-1 opponent pits
+  const ringLen = 2 * n;
+  let ringPos = pitIndex;
+  const opp = 1 - mover;
+
+  while (hand > 0) {
+    ringPos = (ringPos + 1) % ringLen;
+    if (ringPos === pitIndex) continue; // never sow back into the emptied pit
+    if (ringPos < n) {
+      path.push({ kind: "pit", side: mover, index: ringPos });
+    } else {
+      path.push({ kind: "pit", side: opp, index: ringPos - n });
+    }
+    hand--;
+  }
+  return path;
+}
+
+function playMoveOware(st, rules, pitIndex) {
+  const n = rules.pitsPerSide;
+  const mover = st.toMove;
+  const opp = 1 - mover;
+
+  if (pitIndex < 0 || pitIndex >= n) {
+    return { ok: false, error: "pitIndex out of range" };
+  }
+  if (st.pits[mover][pitIndex] === 0) {
+    return { ok: false, error: "empty pit" };
+  }
+  if (!getValidMoves(st, rules).includes(pitIndex)) {
+    return { ok: false, error: "must feed opponent" };
+  }
+
+  const path = sowPathOware(st, rules, mover, pitIndex);
+  const ns = cloneState(st);
+  ns.pits[mover][pitIndex] = 0;
+  for (const loc of path) ns.pits[loc.side][loc.index] += 1;
+
+  // Capture 2s and 3s, starting at the last pit and chaining backwards on the opponent's side
+  let captureInfo = { happened: false };
+  const last = path[path.length - 1];
+  if (last.side === opp) {
+    const oppPits = [];
+    let captured = 0;
+    for (let i = last.index; i >= 0; i--) {
+      const c = ns.pits[opp][i];
+      if (c !== 2 && c !== 3) break;
+      oppPits.push(i);
+      captured += c;
+    }
+    // Grand slam: a capture that would take every opposing seed captures nothing
+    const grandSlam = captured > 0 && captured === sideSeeds(ns, opp);
+    if (captured > 0 && !grandSlam) {
+      for (const i of oppPits) ns.pits[opp][i] = 0;
+      ns.store[mover] += captured;
+      captureInfo = { happened: true, oppPits, captured };
+    }
+  }
+
+  ns.sinceCapture = captureInfo.happened ? 0 : (st.sinceCapture | 0) + 1;
+  ns.toMove = opp;
+  if (ns.pieSide === mover) ns.pieSide = -1;
+
+  const terminal = isTerminal(ns, rules);
+  const nsFinal = finalizeIfTerminal(ns, rules);
+  return {
+    ok: true,
+    state: nsFinal,
+    path,
+    mover,
+    pitIndex,
+    extraTurn: false,
+    capture: captureInfo,
+    swap: false,
+    terminal,
+    winner: terminal ? winnerOf(nsFinal, rules) : null,
+  };
+}
+
 /**
  * Apply a move immutably.
  *
@@ -151,10 +413,16 @@ function sowPath(st, rules, mover, pitIndex) {
  *   pitIndex: number,
  *   extraTurn: boolean,
  *   capture: { happened: boolean, pit?: number, oppPit?: number, captured?: number } ,
- *   terminal: boolean
+ *            (Oware: { happened, oppPits?: number[], captured? })
+ *   swap: boolean,                 // pitIndex was SWAP_MOVE (pie rule)
+ *   terminal: boolean,
+ *   winner: 0|1|-1|null            // winnerOf() once terminal (-1 = draw), else null
  * }
  */
 export function playMove(st, rules, pitIndex) {
+  if (pitIndex === SWAP_MOVE) return playSwap(st, rules);
+  if (isOware(rules)) return playMoveOware(st, rules, pitIndex);
+
   const n = rules.pitsPerSide;
   const mover = st.toMove;
   const opp = 1 - mover;
@@ -211,6 +479,7 @@ export function playMove(st, rules, pitIndex) {
   // Extra turn if last seed in mover store
   const extraTurn = !!(rules.extraTurnOnStore && last && last.kind === "store" && last.side === mover);
   ns.toMove = extraTurn ? mover : opp;
+  if (ns.pieSide === mover) ns.pieSide = -1;
 
   // Terminal finalize
   const terminalBeforeSweep = isTerminal(ns, rules);
@@ -225,7 +494,9 @@ export function playMove(st, rules, pitIndex) {
     pitIndex,
     extraTurn,
     capture: captureInfo,
+    swap: false,
     terminal: terminalBeforeSweep || terminal,
+    winner: (terminalBeforeSweep || terminal) ? winnerOf(nsFinal, rules) : null,
   };
 }
 
@@ -0,0 +1,102 @@
+// gamelog.js
+// Opt-in upload of finished games to the /log route of worker.js. An upload that fails
+// (network error, 5xx, 429) is kept in a localStorage queue and retried with
+// exponential backoff on later page loads; one the server rejects (other 4xx) is dropped.
+
+// routes of worker.js; full URLs when the worker runs on another origin
+export const LOG_URL = "/log";
+export const STATS_URL = "/stats"; // read by stats.js
+
+const QUEUE_KEY = "mancala-log-queue";
+const MAX_QUEUE = 50;                  // oldest entries are dropped beyond this
+const MAX_ATTEMPTS = 10;
+const BASE_DELAY_MS = 60 * 1000;       // first retry after a minute, then doubling...
+const MAX_DELAY_MS = 24 * 3600 * 1000; // ...up to a day
+
+function readQueue() {
+  try {
+    const q = JSON.parse(localStorage.getItem(QUEUE_KEY) || "[]");
+    return Array.isArray(q) ? q : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue(q) {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(q.slice(-MAX_QUEUE)));
+}
+
+function retryDelay(attempts) {
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+}
+
+// POST one payload. Returns { ok: true } or { ok: false, retry, error }.
+async function post(url, payload) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+  } catch (e) {
+    return { ok: false, retry: true, error: e.message || "network error" };
+  }
+  if (res.ok) return { ok: true };
+  let text = await res.text().catch(() => "");
+  try {
+    text = JSON.parse(text).error || text; // worker.js answers errors with { error }
+  } catch {
+    // not JSON (e.g. from a proxy): keep the text
+  }
+  return { ok: false, retry: res.status >= 500 || res.status === 429, error: `HTTP ${res.status}${text ? `: ${text}` : ""}` };
+}
+
+/** Uploads waiting in the queue. */
+export function pendingCount() {
+  return readQueue().length;
+}
+
+/**
+ * Upload a finished game; payload as worker.js expects it.
+ * Returns { ok: true } or { ok: false, queued, error } (queued = kept for a retry).
+ */
+export async function submitGame(payload, url = LOG_URL, now = Date.now()) {
+  const r = await post(url, payload);
+  if (r.ok) return r;
+  if (r.retry) {
+    const q = readQueue();
+    q.push({ payload, attempts: 1, nextTry: now + retryDelay(1) });
+    writeQueue(q);
+  }
+  return { ok: false, queued: r.retry, error: r.error };
+}
+
+/**
+ * Retry the queued uploads that are due. Returns { sent, dropped, pending }:
+ * dropped = rejected by the server or out of attempts.
+ */
+export async function flushQueue(url = LOG_URL, now = Date.now()) {
+  const queue = readQueue();
+  const keep = [];
+  let sent = 0;
+  let dropped = 0;
+  for (const entry of queue) {
+    if (entry.nextTry > now) {
+      keep.push(entry);
+      continue;
+    }
+    const r = await post(url, entry.payload);
+    if (r.ok) {
+      sent++;
+    } else if (!r.retry || entry.attempts + 1 > MAX_ATTEMPTS) {
+      dropped++;
+    } else {
+      keep.push({ ...entry, attempts: entry.attempts + 1, nextTry: now + retryDelay(entry.attempts + 1) });
+    }
+  }
+  // games queued while this ran come after the ones retried here
+  const added = readQueue().slice(queue.length);
+  writeQueue([...keep, ...added]);
+  return { sent, dropped, pending: keep.length + added.length };
+}
@@ -0,0 +1,106 @@
+// gamestats.js
+// Aggregate statistics over logged games. worker.js keeps the running totals in KV
+// (meta:stats) and adds each game as /log stores it, so /stats never rereads the games.
+//
+// Results are counted from one side's point of view: the human's in HvAI / AIvH (so
+// "HvAI d=6, 30% wins" is how often people beat depth 6), P0's in HvH and AIvAI.
+
+import { parseMoveString, rulesToString, letterForMove } from "./notation.js";
+
+export const STATS_VERSION = 1;
+export const OPENING_PLIES = 4;   // length of the sequences counted as openings
+const MAX_OPENINGS = 500;         // tracked sequences; beyond this the rarest are dropped
+const TOP_OPENINGS = 10;
+
+export function emptyStats() {
+  return { version: STATS_VERSION, games: 0, buckets: {}, openings: {} };
+}
+
+function perspective(mode) {
+  return (mode === "AIvH") ? 1 : 0;
+}
+
+// "mode/depth": depth of the AI, "d0vd1" for AIvAI, "other" for time or playout limits
+function bucketKey(rec) {
+  const d = x => (x === null || x === undefined) ? "other" : String(x);
+  if (rec.mode === "HvH") return "HvH";
+  if (rec.mode === "AIvAI") return `AIvAI/${d(rec.depth)}v${d(rec.depth1)}`;
+  return `${rec.mode}/${d(rec.depth)}`;
+}
+
+function pruneOpenings(openings) {
+  const entries = Object.entries(openings);
+  if (entries.length <= MAX_OPENINGS) return;
+  entries.sort((a, b) => a[1] - b[1]);
+  for (const [seq] of entries.slice(0, entries.length - Math.floor(MAX_OPENINGS * 0.8))) delete openings[seq];
+}
+
+/**
+ * Add a record stored by /log to stats (changed in place; returns stats). Results and
+ * store differences only count games that finished.
+ */
+export function addGame(stats, rec) {
+  stats.games++;
+  const key = bucketKey(rec);
+  const b = stats.buckets[key] ||= {
+    games: 0, wins: 0, draws: 0, losses: 0, plies: 0, pliesGames: 0, storeDiff: 0,
+  };
+  b.games++;
+  if (Number.isInteger(rec.plies)) {
+    b.plies += rec.plies;
+    b.pliesGames++;
+  }
+
+  // openings only of games from the standard start
+  const parsed = parseMoveString(rec.moves);
+  if (parsed.ok && parsed.moves.length >= OPENING_PLIES && !rec.start && parsed.openingSeed === null) {
+    const seq = parsed.moves.slice(0, OPENING_PLIES).map(m => letterForMove(m.side, m.pitIndex)).join("");
+    const opening = `${rulesToString(parsed.rules)} ${seq}`.trim();
+    stats.openings[opening] = (stats.openings[opening] || 0) + 1;
+    pruneOpenings(stats.openings);
+  }
+
+  if (rec.finished) {
+    const side = perspective(rec.mode);
+    const store = [rec.finalStore0, rec.finalStore1];
+    if (rec.winner === -1) b.draws++;
+    else if (rec.winner === side) b.wins++;
+    else b.losses++;
+    b.storeDiff += store[side] - store[1 - side];
+  }
+  return stats;
+}
+
+/**
+ * What /stats returns: {
+ *   games,
+ *   buckets: [{ mode, depth, games, finished, winRate, drawRate, lossRate, avgPlies, avgStoreDiff }],
+ *   openings: [{ moves, games }],   // most played first OPENING_PLIES plies, rules block first
+ * }
+ * Rates and avgStoreDiff are over finished games (null without any); depth is null for HvH.
+ */
+export function statsSummary(stats) {
+  const buckets = Object.entries(stats.buckets).map(([key, b]) => {
+    const [mode, depth = null] = key.split("/");
+    const finished = b.wins + b.draws + b.losses;
+    const rate = n => finished ? n / finished : null;
+    return {
+      mode,
+      depth,
+      games: b.games,
+      finished,
+      winRate: rate(b.wins),
+      drawRate: rate(b.draws),
+      lossRate: rate(b.losses),
+      avgPlies: b.pliesGames ? b.plies / b.pliesGames : null,
+      avgStoreDiff: finished ? b.storeDiff / finished : null,
+    };
+  });
+  buckets.sort((a, b) => a.mode.localeCompare(b.mode) || b.games - a.games);
+
+  const openings = Object.entries(stats.openings)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_OPENINGS)
+    .map(([moves, games]) => ({ moves, games }));
+  return { games: stats.games, buckets, openings };
+}
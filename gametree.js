@@ -0,0 +1,81 @@
+// gametree.js
+// Game tree of played moves with variations.
+//
+// A node is { mover, pitIndex, parent, children }; the root has mover = pitIndex = null.
+// children[0] continues the main line, the other children are variations (alternatives
+// to children[0]) in the order they were played.
+
+export function makeTree() {
+  return { mover: null, pitIndex: null, parent: null, children: [] };
+}
+
+/** Child of node for this move: the existing one if the move was played before, else a new branch. */
+export function addChild(node, mover, pitIndex) {
+  const existing = node.children.find(c => c.pitIndex === pitIndex);
+  if (existing) return existing;
+  const child = { mover, pitIndex, parent: node, children: [] };
+  node.children.push(child);
+  return child;
+}
+
+/** Moves from the root to node: [{ mover, pitIndex }] */
+export function lineTo(node) {
+  const out = [];
+  for (let n = node; n.parent; n = n.parent) out.push({ mover: n.mover, pitIndex: n.pitIndex });
+  return out.reverse();
+}
+
+/** Last node of the main line below node. */
+export function mainLineEnd(node) {
+  let n = node;
+  while (n.children.length > 0) n = n.children[0];
+  return n;
+}
+
+/** First node of the variation node lies in, or null when node is on the main line. */
+export function branchStart(node) {
+  let start = null;
+  for (let n = node; n.parent; n = n.parent) {
+    if (n.parent.children[0] !== n) start = n;
+  }
+  return start;
+}
+
+/** Make the line through node the main line. */
+export function promote(node) {
+  for (let n = node; n.parent; n = n.parent) {
+    const siblings = n.parent.children;
+    siblings.splice(siblings.indexOf(n), 1);
+    siblings.unshift(n);
+  }
+}
+
+/** Remove node and everything below it. */
+export function removeBranch(node) {
+  if (!node.parent) return;
+  const siblings = node.parent.children;
+  siblings.splice(siblings.indexOf(node), 1);
+  node.parent = null;
+}
+
+/** Is node on the line from the root to target (target itself included)? */
+export function isOnLine(node, target) {
+  for (let n = target; n; n = n.parent) {
+    if (n === node) return true;
+  }
+  return false;
+}
+
+/** Number of moves from the root to node. */
+export function plyOf(node) {
+  let ply = 0;
+  for (let n = node; n.parent; n = n.parent) ply++;
+  return ply;
+}
+
+/** Nodes from the first move to node (the root left out). */
+export function pathTo(node) {
+  const out = [];
+  for (let n = node; n.parent; n = n.parent) out.push(n);
+  return out.reverse();
+}
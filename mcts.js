@@ -0,0 +1,173 @@
+// mcts.js
+// Monte Carlo Tree Search (UCT) engine. Same contract as bestMove in ai.js, built only
+// on getValidMoves/playMove, so it plays whatever rules the engine plays.
+//
+// Nodes remember whose move led to them; rewards are 1 / 0.5 / 0 (win/draw/loss) from
+// that player's point of view, so extra turns (same player moving twice) need no
+// special casing.
+
+import { getValidMoves, playMove, isTerminal, winnerOf } from "./engine.js";
+import { endgameMatches, probeEndgame } from "./endgame.js";
+import { letterForMove } from "./notation.js";
+
+const UCT_C = Math.SQRT2;
+
+function makeNode(state, rules, parent, move, mover) {
+  return {
+    state,
+    parent,
+    move,                 // move that led here (null at the root)
+    mover,                // player who made that move
+    untried: isTerminal(state, rules) ? [] : getValidMoves(state, rules),
+    children: [],
+    visits: 0,
+    reward: 0,            // summed from mover's point of view
+  };
+}
+
+function selectChild(node) {
+  const logN = Math.log(node.visits);
+  let best = null;
+  let bestVal = -Infinity;
+  for (const c of node.children) {
+    const val = c.reward / c.visits + UCT_C * Math.sqrt(logN / c.visits);
+    if (val > bestVal) {
+      bestVal = val;
+      best = c;
+    }
+  }
+  return best;
+}
+
+function mostVisited(node) {
+  let best = node.children[0];
+  for (const c of node.children) {
+    if (c.visits > best.visits) best = c;
+  }
+  return best;
+}
+
+/** Most-visited line from the root, in move notation. */
+function principalVariation(root) {
+  let s = "";
+  for (let node = root; node.children.length > 0; ) {
+    node = mostVisited(node);
+    s += letterForMove(node.mover, node.move);
+  }
+  return s;
+}
+
+/** Final result for P0: 1 win, 0.5 draw, 0 loss. */
+function resultForP0(st, rules, endgame) {
+  let store0 = st.store[0];
+  if (endgame) {
+    const v = probeEndgame(endgame, st);
+    if (v !== null) store0 += (st.toMove === 0) ? v : -v;
+  }
+  const w = winnerOf({ store: [store0, st.store[1]] }, rules);
+  return w === 0 ? 1 : w === 1 ? 0 : 0.5;
+}
+
+/** Random playout to the end of the game (or into the endgame table). */
+function rollout(st, rules, endgame, rng) {
+  let s = st;
+  while (!isTerminal(s, rules)) {
+    if (endgame && probeEndgame(endgame, s) !== null) break;
+    const moves = getValidMoves(s, rules);
+    if (moves.length === 0) break;
+    const res = playMove(s, rules, moves[Math.floor(rng() * moves.length)]);
+    if (!res.ok) break;
+    s = res.state;
+  }
+  return resultForP0(s, rules, endgame);
+}
+
+/**
+ * Compute best move for st.toMove with UCT.
+ * opts: {
+ *   playouts = 2000,   // stop after this many playouts (at least one)...
+ *   timeMs,            // ...or after this long, if given
+ *   onProgress,        // onProgress({ playouts, move, score, depth, pv, nodes, timeMs }) every 1000 playouts
+ *   endgame,           // endgame.js table: playouts stop as soon as the result is known
+ *   rng = Math.random,
+ * }
+ * Returns:
+ *  { hasMove: boolean, move: number, score: number, depth: number, playouts: number,
+ *    pv: string, nodes: number, timeMs: number }
+ *  score = expected result for the mover in [0, 1]; depth = deepest tree node reached;
+ *  pv = most-visited line in move notation; nodes = tree nodes created.
+ */
+export function bestMove(st, rules, opts = {}) {
+  const { playouts = 2000, timeMs, onProgress = null, rng = Math.random } = opts;
+  const endgame = endgameMatches(opts.endgame, rules) ? opts.endgame : null;
+
+  const moves = getValidMoves(st, rules);
+  if (moves.length === 0) {
+    return { hasMove: false, move: -1, score: -Infinity, depth: 0, playouts: 0, pv: "", nodes: 0, timeMs: 0 };
+  }
+
+  const root = makeNode(st, rules, null, null, 1 - st.toMove);
+  const started = Date.now();
+  const deadline = (timeMs !== undefined) ? started + timeMs : Infinity;
+  const limit = (timeMs !== undefined) ? Infinity : Math.max(1, playouts);
+  let maxDepth = 0;
+  let done = 0;
+  let nodes = 1;
+
+  while (done < limit) {
+    if ((done & 63) === 0 && Date.now() > deadline && done > 0) break;
+
+    // 1. selection
+    let node = root;
+    let depth = 0;
+    while (node.untried.length === 0 && node.children.length > 0) {
+      node = selectChild(node);
+      depth++;
+    }
+
+    // 2. expansion
+    if (node.untried.length > 0) {
+      const i = Math.floor(rng() * node.untried.length);
+      const mv = node.untried.splice(i, 1)[0];
+      const res = playMove(node.state, rules, mv);
+      if (res.ok) {
+        const child = makeNode(res.state, rules, node, mv, res.mover);
+        node.children.push(child);
+        nodes++;
+        node = child;
+        depth++;
+      }
+    }
+    maxDepth = Math.max(maxDepth, depth);
+
+    // 3. simulation
+    const p0 = rollout(node.state, rules, endgame, rng);
+
+    // 4. backpropagation
+    for (let n = node; n; n = n.parent) {
+      n.visits++;
+      n.reward += (n.mover === 0) ? p0 : 1 - p0;
+    }
+
+    done++;
+    if (onProgress && done % 1000 === 0) {
+      const b = mostVisited(root);
+      onProgress({
+        playouts: done, move: b.move, score: b.reward / b.visits, depth: maxDepth,
+        pv: principalVariation(root), nodes, timeMs: Date.now() - started,
+      });
+    }
+  }
+
+  const best = mostVisited(root);
+  return {
+    hasMove: true,
+    move: best.move,
+    score: best.reward / best.visits,
+    depth: maxDepth,
+    playouts: done,
+    pv: principalVariation(root),
+    nodes,
+    timeMs: Date.now() - started,
+  };
+}
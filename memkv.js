@@ -0,0 +1,92 @@
+// memkv.js
+// In-memory stand-in for a Workers KV namespace, to run worker.js without Cloudflare:
+//
+//   import worker from "./worker.js";
+//   import { makeMemoryKV } from "./memkv.js";
+//   const env = { GAMES: makeMemoryKV() };
+//   const res = await worker.fetch(new Request("http://local/games"), env);
+//
+// Covers what worker.js uses: get / getWithMetadata (type "text" | "json"), put (with
+// metadata, expiration, expirationTtl), delete and list (prefix, limit, cursor), with
+// keys listed in lexicographic order like KV. Expired keys disappear as in KV.
+
+const MAX_LIST_LIMIT = 1000;
+
+/** opts.now: clock in ms (tests can move time forward for expirations). */
+export function makeMemoryKV(opts = {}) {
+  const now = opts.now || (() => Date.now());
+  const data = new Map(); // key -> { value, metadata, expiration (s since the epoch) | undefined }
+
+  function live(key) {
+    const e = data.get(key);
+    if (!e) return null;
+    if (e.expiration !== undefined && e.expiration * 1000 <= now()) {
+      data.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  function decode(value, type) {
+    if (value === null) return null;
+    const t = (typeof type === "object" && type !== null) ? type.type : type;
+    if (t === undefined || t === "text") return value;
+    if (t === "json") return JSON.parse(value);
+    throw new Error(`memkv: unsupported type '${t}'`);
+  }
+
+  return {
+    async get(key, type) {
+      const e = live(key);
+      return decode(e ? e.value : null, type);
+    },
+
+    async getWithMetadata(key, type) {
+      const e = live(key);
+      return { value: decode(e ? e.value : null, type), metadata: e ? e.metadata : null };
+    },
+
+    async put(key, value, options = {}) {
+      if (typeof value !== "string") throw new Error("memkv: only string values are supported");
+      let expiration = options.expiration;
+      if (options.expirationTtl !== undefined) {
+        if (options.expirationTtl < 60) throw new Error("memkv: expirationTtl must be at least 60 seconds");
+        expiration = Math.floor(now() / 1000) + options.expirationTtl;
+      }
+      data.set(key, {
+        value,
+        metadata: (options.metadata === undefined) ? null : structuredClone(options.metadata),
+        expiration,
+      });
+    },
+
+    async delete(key) {
+      data.delete(key);
+    },
+
+    /**
+     * Returns { keys: [{ name, expiration?, metadata? }], list_complete, cursor? }.
+     * The cursor is the last key name returned (KV's are opaque strings too).
+     */
+    async list(options = {}) {
+      const prefix = options.prefix || "";
+      const limit = Math.min(MAX_LIST_LIMIT, options.limit || MAX_LIST_LIMIT);
+      const after = options.cursor || "";
+
+      const names = [...data.keys()]
+        .filter(k => k.startsWith(prefix) && k > after && live(k))
+        .sort();
+      const keys = names.slice(0, limit).map(name => {
+        const e = data.get(name);
+        const key = { name };
+        if (e.expiration !== undefined) key.expiration = e.expiration;
+        if (e.metadata !== null) key.metadata = structuredClone(e.metadata);
+        return key;
+      });
+      const complete = names.length <= limit;
+      return complete
+        ? { keys, list_complete: true }
+        : { keys, list_complete: false, cursor: keys[keys.length - 1].name };
+    },
+  };
+}
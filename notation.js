@@ -0,0 +1,250 @@
+// notation.js
+// Move-string notation used by Copy/Load Moves.
+//
+// - P0 pits are a, b, c, ... and P1 pits A, B, C, ... (index 0 = a/A, left→right for P0)
+// - "*" is the pie-rule swap (SWAP_MOVE); the side is whoever is to move
+// - an optional leading "[...]" block names the rules (see rulesToString); a string
+//   without one was played under the default makeRules() (Kalah 6,4)
+// - then an optional "#<n>": the opening seed of a randomOpening game
+// - "( ... )" right after a move holds a variation: an alternative to that move and its
+//   continuation (variations nest, e.g. "cf(dA(e)B)BA")
+// - a move can carry a post-game annotation (annotate.js): a glyph, then unless nothing
+//   was lost the engine's move and the seeds lost, e.g. "c?{f -2.5}" (see GLYPHS)
+// - whitespace is ignored
+//
+// Game records with headers (record.js) use the same rules tokens, moveToken for boards
+// of more than 26 pits and positionToString for a set-up start position.
+import { makeRules, initFromArrays, CaptureRule, RuleSet, SWAP_MOVE } from "./engine.js";
+import { makeTree, addChild } from "./gametree.js";
+
+const DEFAULT_RULES = makeRules();
+
+// annotate.js labels -> glyphs
+export const GLYPHS = Object.freeze({ best: "!", inaccuracy: "?!", mistake: "?", blunder: "??" });
+const LABEL_OF = Object.freeze(Object.fromEntries(Object.entries(GLYPHS).map(([l, g]) => [g, l])));
+
+/**
+ * Rules -> "[oware n=8 pie]" style block listing only what differs from the
+ * default rules ("" for the defaults). Tokens:
+ *   kalah        ruleSet KALAH (the default; accepted, never written)
+ *   oware        ruleSet OWARE
+ *   n=<int>      pitsPerSide         s=<int>   seedsPerPit
+ *   noextra      no extra turn       nosweep   no sweep at game end
+ *   nocapture    CaptureRule.NONE    empty     allowMoveFromEmpty
+ *   loop=<int>   loopLimit (Oware)
+ *   pie          pieRule             random    randomOpening
+ *   misere       misère scoring
+ */
+export function rulesToString(rules) {
+  const t = [];
+  if (rules.ruleSet === RuleSet.OWARE) t.push("oware");
+  if (rules.pitsPerSide !== DEFAULT_RULES.pitsPerSide) t.push(`n=${rules.pitsPerSide}`);
+  if (rules.seedsPerPit !== DEFAULT_RULES.seedsPerPit) t.push(`s=${rules.seedsPerPit}`);
+  if (rules.ruleSet === RuleSet.KALAH) {
+    if (!rules.extraTurnOnStore) t.push("noextra");
+    if (!rules.sweepOnGameEnd) t.push("nosweep");
+    if (rules.captureRule === CaptureRule.NONE) t.push("nocapture");
+    if (rules.allowMoveFromEmpty) t.push("empty");
+  } else if (rules.loopLimit !== DEFAULT_RULES.loopLimit) {
+    t.push(`loop=${rules.loopLimit}`);
+  }
+  if (rules.pieRule) t.push("pie");
+  if (rules.randomOpening) t.push("random");
+  if (rules.misere) t.push("misere");
+  return t.length ? `[${t.join(" ")}]` : "";
+}
+
+/**
+ * Inverse of rulesToString (without the brackets).
+ * Returns { ok: true, rules } or { ok: false, error }.
+ */
+export function parseRulesString(body) {
+  const opts = {};
+  const flags = {
+    kalah: ["ruleSet", RuleSet.KALAH],
+    oware: ["ruleSet", RuleSet.OWARE],
+    noextra: ["extraTurnOnStore", false],
+    nosweep: ["sweepOnGameEnd", false],
+    nocapture: ["captureRule", CaptureRule.NONE],
+    empty: ["allowMoveFromEmpty", true],
+    pie: ["pieRule", true],
+    random: ["randomOpening", true],
+    misere: ["misere", true],
+  };
+  const ints = { n: "pitsPerSide", s: "seedsPerPit", loop: "loopLimit" };
+
+  for (const tok of body.trim().split(/\s+/).filter(Boolean)) {
+    const kv = /^(\w+)=(\d+)$/.exec(tok);
+    if (kv && ints[kv[1]]) {
+      opts[ints[kv[1]]] = parseInt(kv[2], 10);
+    } else if (flags[tok]) {
+      opts[flags[tok][0]] = flags[tok][1];
+    } else {
+      return { ok: false, error: `Unknown rules token: '${tok}'` };
+    }
+  }
+
+  try {
+    return { ok: true, rules: makeRules(opts) };
+  } catch (e) {
+    return { ok: false, error: `Bad rules: ${e.message}` };
+  }
+}
+
+export function letterForMove(mover, pitIndex) {
+  if (pitIndex === SWAP_MOVE) return "*";
+  return String.fromCharCode((mover === 0 ? "a".charCodeAt(0) : "A".charCodeAt(0)) + pitIndex);
+}
+
+/**
+ * Move token for boards of any size: the letter (letterForMove) up to 26 pits per side,
+ * else "a" / "A" for the side plus the 1-based pit number ("a27", "A3").
+ */
+export function moveToken(mover, pitIndex, rules) {
+  if (pitIndex === SWAP_MOVE || rules.pitsPerSide <= 26) return letterForMove(mover, pitIndex);
+  return `${mover === 0 ? "a" : "A"}${pitIndex + 1}`;
+}
+
+function withHeader(moveText, openingSeed, rules) {
+  const parts = [];
+  const r = rules ? rulesToString(rules) : "";
+  if (r) parts.push(r);
+  if (openingSeed !== null) parts.push(`#${openingSeed}`);
+  parts.push(moveText);
+  return parts.join(" ");
+}
+
+/** movesArr entries: { mover, pitIndex }. rules = null leaves the rules block out. */
+export function movesToString(movesArr, openingSeed = null, rules = null) {
+  return withHeader(movesArr.map(m => letterForMove(m.mover, m.pitIndex)).join(""), openingSeed, rules);
+}
+
+// Move letter plus its annotation, if any
+function moveText(n) {
+  const s = letterForMove(n.mover, n.pitIndex);
+  if (!n.note) return s;
+  const glyph = GLYPHS[n.note.label];
+  if (n.note.loss === 0) return s + glyph;
+  return `${s}${glyph}{${letterForMove(n.mover, n.note.best)} -${n.note.loss}}`;
+}
+
+// Moves below node: the main line, with each variation right after the move it replaces.
+function treeText(node) {
+  let s = "";
+  for (let n = node; n.children.length > 0; n = n.children[0]) {
+    const [main, ...alts] = n.children;
+    s += moveText(main);
+    for (const alt of alts) s += `(${moveText(alt)}${treeText(alt)})`;
+  }
+  return s;
+}
+
+/** Like movesToString, for a whole gametree.js tree (root node) with its variations. */
+export function treeToString(root, openingSeed = null, rules = null) {
+  return withHeader(treeText(root), openingSeed, rules);
+}
+
+/**
+ * Returns { ok: true, moves: [{ side, pitIndex }], tree, openingSeed, rules } or { ok: false, error }.
+ * moves is the main line; tree is a gametree.js tree of every line, with mover = side
+ * and annotated nodes carrying note = { label, loss, best }.
+ * side is null for a swap; rules is the default makeRules() when the string has no block.
+ */
+export function parseMoveString(s) {
+  let text = (s || "").trim();
+  let openingSeed = null;
+  let rules = DEFAULT_RULES;
+
+  const block = /^\[([^\]]*)\]/.exec(text);
+  if (block) {
+    const r = parseRulesString(block[1]);
+    if (!r.ok) return r;
+    if (r.rules.pitsPerSide > 26) return { ok: false, error: "Move letters only cover up to 26 pits per side" };
+    rules = r.rules;
+    text = text.slice(block[0].length).trim();
+  }
+
+  const seed = /^#(\d+)/.exec(text);
+  if (seed) {
+    openingSeed = parseInt(seed[1], 10);
+    text = text.slice(seed[0].length);
+  }
+
+  const tree = makeTree();
+  const stack = []; // where to continue after each open variation
+  let node = tree;
+  for (const ch of text.match(/[!?]+|\{[^}]*\}|[^]/g) || []) {
+    if (ch >= "a" && ch <= "z" && ch.length === 1) {
+      node = addChild(node, 0, ch.charCodeAt(0) - 97);
+    } else if (ch >= "A" && ch <= "Z" && ch.length === 1) {
+      node = addChild(node, 1, ch.charCodeAt(0) - 65);
+    } else if (ch === "*") {
+      node = addChild(node, null, SWAP_MOVE);
+    } else if (/^[!?]/.test(ch)) {
+      if (!node.parent) return { ok: false, error: `Annotation '${ch}' must follow a move` };
+      if (!LABEL_OF[ch]) return { ok: false, error: `Invalid annotation: '${ch}'` };
+      node.note = { label: LABEL_OF[ch], loss: 0, best: node.pitIndex };
+    } else if (ch[0] === "{") {
+      const m = /^\{\s*([a-zA-Z*])\s+-?(\d+(?:\.\d+)?)\s*\}$/.exec(ch);
+      if (!node.note || !m) return { ok: false, error: `Invalid comment: '${ch}'` };
+      node.note.best = (m[1] === "*") ? SWAP_MOVE : m[1].toLowerCase().charCodeAt(0) - 97;
+      node.note.loss = parseFloat(m[2]);
+    } else if (ch === "(") {
+      if (!node.parent) return { ok: false, error: "Variation '(' must follow a move" };
+      stack.push(node);
+      node = node.parent;
+    } else if (ch === ")") {
+      if (stack.length === 0) return { ok: false, error: "Unmatched ')'" };
+      node = stack.pop();
+    } else {
+      // ignore whitespace, but reject other chars
+      if (!/\s/.test(ch)) return { ok: false, error: `Invalid character: '${ch}'` };
+    }
+  }
+  if (stack.length > 0) return { ok: false, error: "Unclosed '('" };
+
+  const moves = [];
+  for (let n = tree; n.children.length > 0; n = n.children[0]) {
+    moves.push({ side: n.children[0].mover, pitIndex: n.children[0].pitIndex });
+  }
+  return { ok: true, moves, tree, openingSeed, rules };
+}
+
+/**
+ * Position -> "4,4,4,4,4,4/4,4,4,4,4,4 0-0 0": P0's pits (a, b, ...), P1's pits (A, B, ...),
+ * the stores (P0-P1) and the side to move, after the rules block as in movesToString
+ * (rules = null leaves it out). The Oware loop counter and an open pie swap are not
+ * part of it.
+ */
+export function positionToString(st, rules = null) {
+  const pos = `${st.pits[0].join(",")}/${st.pits[1].join(",")} ${st.store[0]}-${st.store[1]} ${st.toMove}`;
+  const r = rules ? rulesToString(rules) : "";
+  return r ? `${r} ${pos}` : pos;
+}
+
+/**
+ * Inverse of positionToString. A leading rules block overrides rules.
+ * Returns { ok: true, state, rules } or { ok: false, error }.
+ */
+export function parsePositionString(s, rules = DEFAULT_RULES) {
+  let text = (s || "").trim();
+  const block = /^\[([^\]]*)\]/.exec(text);
+  if (block) {
+    const r = parseRulesString(block[1]);
+    if (!r.ok) return r;
+    rules = r.rules;
+    text = text.slice(block[0].length);
+  }
+
+  const m = /^\s*([\d,]+)\/([\d,]+)\s+(\d+)-(\d+)\s+([01])\s*$/.exec(text);
+  if (!m) return { ok: false, error: "Position must look like 4,4,4/4,4,4 0-0 0" };
+
+  const pits = [m[1], m[2]].map(side => side.split(",").map(x => (x === "" ? NaN : Number(x))));
+  for (const side of pits) {
+    if (side.length !== rules.pitsPerSide) {
+      return { ok: false, error: `Position needs ${rules.pitsPerSide} pits per side, got ${side.length}` };
+    }
+    if (side.some(x => !Number.isInteger(x))) return { ok: false, error: "Pit counts must be whole numbers" };
+  }
+  return { ok: true, state: initFromArrays(rules, pits[0], pits[1], Number(m[3]), Number(m[4]), Number(m[5])), rules };
+}
@@ -0,0 +1,66 @@
+// online.js
+// Browser side of online rooms (rooms.js, served by worker.js): the requests, and the
+// seat held in localStorage so a reloaded page rejoins its game.
+//
+// A seat is { code, token, side }. Requests return { ok: true, ...answer } or
+// { ok: false, status, error } (status 0 = no answer from the server).
+
+// route of worker.js; a full URL when the worker runs on another origin
+export const ROOMS_URL = "/rooms";
+
+const SEAT_KEY = "mancala-room";
+
+async function request(method, path, body) {
+  let res;
+  try {
+    res = await fetch(`${ROOMS_URL}${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (e) {
+    return { ok: false, status: 0, error: e.message || "network error" };
+  }
+  const data = await res.json().catch(() => null);
+  if (res.ok && data) return { ok: true, ...data };
+  return { ok: false, status: res.status, error: (data && data.error) || `HTTP ${res.status}` };
+}
+
+/** New room; rulesText = rulesToString tokens without the brackets. Answer: { code, token, side, room }. */
+export function createRoom(rulesText, side = 0) {
+  return request("POST", "", { rules: rulesText, side });
+}
+
+/** Take the free seat of a room. Answer: { code, token, side, room }. */
+export function joinRoom(code) {
+  return request("POST", `/${encodeURIComponent(code.trim())}/join`);
+}
+
+/** Answer: { room }. */
+export function fetchRoom(code) {
+  return request("GET", `/${encodeURIComponent(code)}`);
+}
+
+/** Play pit as the move after ply plies. Answer: { room }; status 409 = out of date. */
+export function sendMove(seat, pit, ply) {
+  return request("POST", `/${encodeURIComponent(seat.code)}/move`, { token: seat.token, pit, ply });
+}
+
+export function saveSeat(seat) {
+  localStorage.setItem(SEAT_KEY, JSON.stringify({ code: seat.code, token: seat.token, side: seat.side }));
+}
+
+/** The seat saved by an earlier page, or null. */
+export function loadSeat() {
+  try {
+    const seat = JSON.parse(localStorage.getItem(SEAT_KEY) || "null");
+    return (seat && typeof seat.code === "string" && typeof seat.token === "string" && (seat.side === 0 || seat.side === 1))
+      ? seat : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearSeat() {
+  localStorage.removeItem(SEAT_KEY);
+}
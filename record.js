@@ -0,0 +1,531 @@
+// record.js
+// Game records: the move tree plus headers (rules, players, date, result, ...), in a
+// JSON form and a PGN-like text form. Both carry a format version.
+//
+// A record is { version, headers, comment, tree }:
+//   headers = {
+//     rules,        // engine.js rules
+//     mode,         // "HvAI" | "AIvH" | "HvH" | "AIvAI" | null
+//     players,      // [P0, P1] names or engine settings, e.g. "Human", "α-β d=6" (null = unknown)
+//     date,         // "YYYY-MM-DD" or null
+//     result,       // "1-0" | "0-1" | "1/2-1/2" | "*" (unfinished)
+//     stores,       // [P0, P1] stores at the end of the main line, or null
+//     openingSeed,  // deal of a randomOpening game, or null
+//     start,        // engine state to start from instead of the standard one, or null
+//     extra,        // other text headers, kept as they are: { name: value }
+//   }
+//   comment = comment on the whole game ("" for none)
+//   tree = gametree.js tree; nodes may carry note (annotate.js) and comment. A swap
+//          node read from a record has mover = null: whose swap it was is only known
+//          by replaying (as with parseMoveString).
+//
+// Text form:
+//   [Format "mancala-record 1"]
+//   [Rules "oware n=8"]          rulesToString tokens ("kalah" for the defaults)
+//   [Mode "HvAI"]
+//   [P0 "Human"]
+//   [P1 "α-β d=6"]
+//   [Date "2026-10-19"]
+//   [Result "1-0"]
+//   [Stores "30-18"]
+//   [Seed "123456"]              randomOpening only
+//   [Start "4,4,4/4,4,4 0-0 0"]  positionToString
+//
+//   {game comment} c! f {a comment} B?{A -2.5} (C D) ... 1-0
+//
+// Moves are moveToken tokens separated by whitespace, each optionally followed by an
+// annotation glyph (with the engine's move and the loss in "{}" right after it) and a
+// "{comment}" ("}" and "\" inside it escaped with a backslash); "( ... )" holds a
+// variation of the move before it. The movetext ends with the result; a final "*" is
+// always the result, never a swap.
+
+import { makeRules, SWAP_MOVE } from "./engine.js";
+import { makeTree, addChild } from "./gametree.js";
+import {
+  rulesToString, parseRulesString, positionToString, parsePositionString, moveToken, GLYPHS,
+} from "./notation.js";
+
+export const RECORD_VERSION = 1;
+const FORMAT = "mancala-record";
+
+const RESULTS = ["1-0", "0-1", "1/2-1/2", "*"];
+const LABEL_OF = Object.freeze(Object.fromEntries(Object.entries(GLYPHS).map(([l, g]) => [g, l])));
+const LINE_WIDTH = 79;
+
+/** Record with default headers; fields: { rules, tree, comment, ...headers }. */
+export function makeRecord(fields) {
+  const { tree = makeTree(), comment = "", ...headers } = fields;
+  if (!headers.rules) throw new Error("makeRecord: rules are required");
+  return {
+    version: RECORD_VERSION,
+    headers: {
+      mode: null,
+      players: [null, null],
+      date: null,
+      result: "*",
+      stores: null,
+      openingSeed: null,
+      start: null,
+      extra: {},
+      ...headers,
+    },
+    comment,
+    tree,
+  };
+}
+
+/** Text for the result of a finished game; winner as returned by winnerOf (-1 = draw). */
+export function resultString(winner) {
+  return winner === 0 ? "1-0" : winner === 1 ? "0-1" : "1/2-1/2";
+}
+
+function rulesText(rules) {
+  return rulesToString(rules).slice(1, -1) || "kalah";
+}
+
+// Auto-detect the form: JSON records start with "{" (a text record never does).
+/** Returns { ok: true, record } or { ok: false, error, line, column } (see parseRecordText / recordFromJSON). */
+export function parseRecord(text) {
+  return /^\s*\{/.test(text || "") ? recordFromJSON(text) : parseRecordText(text);
+}
+
+// ---------- Text form ----------
+
+function quote(s) {
+  return `"${String(s).replace(/[\r\n]+/g, " ").replace(/[\\"]/g, c => `\\${c}`)}"`;
+}
+
+function commentText(s) {
+  return `{${s.replace(/[\\}]/g, c => `\\${c}`)}}`;
+}
+
+function nodeTokens(n, rules) {
+  let s = moveToken(n.mover, n.pitIndex, rules);
+  if (n.note) {
+    s += GLYPHS[n.note.label];
+    if (n.note.loss !== 0) s += `{${moveToken(n.mover, n.note.best, rules)} -${n.note.loss}}`;
+  }
+  return n.comment ? [s, commentText(n.comment)] : [s];
+}
+
+// Tokens of the moves below node, each variation right after the move it replaces.
+function lineTokens(node, rules) {
+  const out = [];
+  for (let n = node; n.children.length > 0; n = n.children[0]) {
+    const [main, ...alts] = n.children;
+    out.push(...nodeTokens(main, rules));
+    for (const alt of alts) out.push("(", ...nodeTokens(alt, rules), ...lineTokens(alt, rules), ")");
+  }
+  return out;
+}
+
+// Join tokens with spaces (none inside the parentheses), wrapped at LINE_WIDTH.
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = "";
+  let prev = null;
+  for (const t of tokens) {
+    const sep = (prev === null || prev === "(" || t === ")") ? "" : " ";
+    if (line && sep && line.length + 1 + t.length > LINE_WIDTH) {
+      lines.push(line);
+      line = t;
+    } else {
+      line += sep + t;
+    }
+    prev = t;
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+/** Record -> text form. */
+export function recordToText(rec) {
+  const h = rec.headers;
+  const tags = [["Format", `${FORMAT} ${RECORD_VERSION}`], ["Rules", rulesText(h.rules)]];
+  if (h.mode) tags.push(["Mode", h.mode]);
+  if (h.players[0] !== null) tags.push(["P0", h.players[0]]);
+  if (h.players[1] !== null) tags.push(["P1", h.players[1]]);
+  if (h.date) tags.push(["Date", h.date]);
+  tags.push(["Result", h.result]);
+  if (h.stores) tags.push(["Stores", `${h.stores[0]}-${h.stores[1]}`]);
+  if (h.openingSeed !== null) tags.push(["Seed", String(h.openingSeed)]);
+  if (h.start) tags.push(["Start", positionToString(h.start)]);
+  for (const [name, value] of Object.entries(h.extra)) tags.push([name, value]);
+
+  const tokens = rec.comment ? [commentText(rec.comment)] : [];
+  tokens.push(...lineTokens(rec.tree, h.rules), h.result);
+  return `${tags.map(([name, value]) => `[${name} ${quote(value)}]`).join("\n")}\n\n${wrapTokens(tokens)}\n`;
+}
+
+// 1-based line and column of offset i in text
+function lineCol(text, i) {
+  const before = text.slice(0, i).split("\n");
+  return { line: before.length, column: before.at(-1).length + 1 };
+}
+
+const TOKEN = new RegExp([
+  /(?<ws>\s+)/,
+  /(?<tag>\[\s*(?<tagName>\w+)\s+"(?<tagValue>(?:[^"\\\n]|\\.)*)"\s*\])/,
+  /(?<comment>\{(?:[^}\\]|\\[^])*\})/,
+  /(?<result>1-0|0-1|1\/2-1\/2)/,
+  /(?<move>[a-zA-Z]\d*|\*)/,
+  /(?<glyph>[!?]+)/,
+  /(?<paren>[()])/,
+].map(r => r.source).join("|"), "y");
+
+// moveToken -> { mover, pitIndex } (mover null for a swap), or null if the token is
+// no move on this board.
+function parseMoveToken(tok, rules) {
+  if (tok === "*") return { mover: null, pitIndex: SWAP_MOVE };
+  const m = /^([a-zA-Z])(\d+)?$/.exec(tok);
+  if (!m) return null;
+  const mover = (m[1] >= "a") ? 0 : 1;
+  let pitIndex;
+  if (m[2] !== undefined) {
+    if (m[1] !== "a" && m[1] !== "A") return null;
+    pitIndex = parseInt(m[2], 10) - 1;
+  } else {
+    pitIndex = m[1].toLowerCase().charCodeAt(0) - 97;
+  }
+  return (pitIndex >= 0 && pitIndex < rules.pitsPerSide) ? { mover, pitIndex } : null;
+}
+
+// Header value -> headers field; returns an error message or null.
+function applyTag(headers, name, value) {
+  switch (name) {
+    case "Format": {
+      const m = /^(\S+)\s+(\d+)$/.exec(value);
+      if (!m || m[1] !== FORMAT) return `Unknown format "${value}"`;
+      if (parseInt(m[2], 10) > RECORD_VERSION) {
+        return `Record version ${m[2]} is newer than this program supports (${RECORD_VERSION})`;
+      }
+      return null;
+    }
+    case "Rules": {
+      const r = parseRulesString(value);
+      if (!r.ok) return r.error;
+      headers.rules = r.rules;
+      return null;
+    }
+    case "Mode": headers.mode = value; return null;
+    case "P0": headers.players[0] = value; return null;
+    case "P1": headers.players[1] = value; return null;
+    case "Date": headers.date = value; return null;
+    case "Result":
+      if (!RESULTS.includes(value)) return `Result must be one of ${RESULTS.join(", ")}`;
+      headers.result = value;
+      return null;
+    case "Stores": {
+      const m = /^(\d+)-(\d+)$/.exec(value);
+      if (!m) return "Stores must look like 30-18";
+      headers.stores = [parseInt(m[1], 10), parseInt(m[2], 10)];
+      return null;
+    }
+    case "Seed":
+      if (!/^\d+$/.test(value)) return "Seed must be a whole number";
+      headers.openingSeed = parseInt(value, 10);
+      return null;
+    case "Start":
+      headers.start = value; // parsed once the rules are known
+      return null;
+    default:
+      headers.extra[name] = value;
+      return null;
+  }
+}
+
+// Once the headers are read: parse the Start position (needs the rules) and make sure
+// the starting board is known. Returns an error message or null.
+function readBoard(h) {
+  if (h.start !== null) {
+    const p = parsePositionString(h.start, h.rules);
+    if (!p.ok) return p.error;
+    if (p.rules !== h.rules) return "Start must not name rules (use the Rules header)";
+    h.start = p.state;
+  } else if (h.rules.randomOpening && h.openingSeed === null) {
+    return "Missing Seed header for a random-opening game";
+  }
+  return null;
+}
+
+/**
+ * Text form -> record.
+ * Returns { ok: true, record } or { ok: false, error, line, column } (1-based).
+ */
+export function parseRecordText(text) {
+  const src = text || "";
+  const rec = makeRecord({ rules: makeRules() });
+  const h = rec.headers;
+  const fail = (error, at) => ({ ok: false, error, ...lineCol(src, at) });
+
+  let pos = 0;
+  let startAt = 0;    // offset of the Start header, for its error
+  let inMoves = false;
+  let result = null;
+  let node = rec.tree;
+  let glyphNode = null; // node whose glyph was the previous token
+  const stack = [];     // where to continue after each open variation
+
+  while (pos < src.length) {
+    TOKEN.lastIndex = pos;
+    const m = TOKEN.exec(src);
+    if (!m) {
+      if (src[pos] === "{") return fail("Unclosed '{'", pos);
+      return fail(`Unexpected '${src[pos]}'`, pos);
+    }
+    const at = pos;
+    const g = m.groups;
+    pos = TOKEN.lastIndex;
+    if (g.ws) continue;
+
+    if (result !== null) return fail("Nothing may follow the result", at);
+    const afterGlyph = glyphNode;
+    glyphNode = null;
+
+    if (g.tag) {
+      if (inMoves) return fail("Headers must come before the moves", at);
+      const error = applyTag(h, g.tagName, g.tagValue.replace(/\\(.)/g, "$1"));
+      if (error) return fail(error, at);
+      if (g.tagName === "Start") startAt = at;
+      continue;
+    }
+
+    if (!inMoves) {
+      inMoves = true;
+      const error = readBoard(h);
+      if (error) return fail(error, h.start !== null ? startAt : at);
+    }
+
+    if (g.comment) {
+      const body = g.comment.slice(1, -1).replace(/\\([^])/g, "$1");
+      const detail = /^\s*(\S+)\s+-(\d+(?:\.\d+)?)\s*$/.exec(body);
+      const best = (afterGlyph && detail) ? parseMoveToken(detail[1], h.rules) : null;
+      if (best) {
+        afterGlyph.note.best = best.pitIndex;
+        afterGlyph.note.loss = parseFloat(detail[2]);
+      } else if (node === rec.tree && stack.length === 0) {
+        rec.comment = body.trim();
+      } else if (node.parent) {
+        node.comment = body.trim();
+      } else {
+        return fail("A comment must follow a move", at);
+      }
+    } else if (g.result || (g.move === "*" && src.slice(pos).trim() === "")) {
+      if (stack.length > 0) return fail("Unclosed '('", at);
+      result = g.result || "*";
+      if (h.result !== "*" && h.result !== result) {
+        return fail(`Result ${result} does not match the Result header (${h.result})`, at);
+      }
+      h.result = result;
+    } else if (g.move) {
+      const mv = parseMoveToken(g.move, h.rules);
+      if (!mv) return fail(`Invalid move '${g.move}' for ${h.rules.pitsPerSide} pits per side`, at);
+      node = addChild(node, mv.mover, mv.pitIndex);
+    } else if (g.glyph) {
+      if (!node.parent) return fail(`Annotation '${g.glyph}' must follow a move`, at);
+      if (!LABEL_OF[g.glyph]) return fail(`Invalid annotation: '${g.glyph}'`, at);
+      node.note = { label: LABEL_OF[g.glyph], loss: 0, best: node.pitIndex };
+      glyphNode = node;
+    } else if (g.paren === "(") {
+      if (!node.parent) return fail("Variation '(' must follow a move", at);
+      stack.push(node);
+      node = node.parent;
+    } else {
+      if (stack.length === 0) return fail("Unmatched ')'", at);
+      node = stack.pop();
+    }
+  }
+
+  if (stack.length > 0) return fail("Unclosed '('", src.length);
+  if (!inMoves) {
+    const error = readBoard(h);
+    if (error) return fail(error, h.start !== null ? startAt : src.length);
+  }
+  return { ok: true, record: rec };
+}
+
+// ---------- JSON form ----------
+
+function jsonMove(n) {
+  const m = (n.pitIndex === SWAP_MOVE) ? { swap: true } : { side: n.mover, pit: n.pitIndex };
+  if (n.note) m.note = { ...n.note };
+  if (n.comment) m.comment = n.comment;
+  return m;
+}
+
+function jsonLine(node) {
+  const out = [];
+  for (let n = node; n.children.length > 0; n = n.children[0]) {
+    const [main, ...alts] = n.children;
+    const m = jsonMove(main);
+    if (alts.length > 0) m.variations = alts.map(alt => [jsonMove(alt), ...jsonLine(alt)]);
+    out.push(m);
+  }
+  return out;
+}
+
+/**
+ * Record -> JSON form: { format, version, headers, comment, moves }, where moves is the
+ * main line of { side, pit } (0-based pit) or { swap: true }, each with optional note,
+ * comment and variations (alternatives to that move, each a line of moves).
+ * rules and start are stored as their notation.js strings.
+ */
+export function recordToJSON(rec) {
+  const h = rec.headers;
+  return JSON.stringify({
+    format: FORMAT,
+    version: RECORD_VERSION,
+    headers: {
+      rules: rulesText(h.rules),
+      mode: h.mode,
+      players: h.players,
+      date: h.date,
+      result: h.result,
+      stores: h.stores,
+      openingSeed: h.openingSeed,
+      start: h.start ? positionToString(h.start) : null,
+      extra: h.extra,
+    },
+    comment: rec.comment,
+    moves: jsonLine(rec.tree),
+  }, null, 2);
+}
+
+const isInt = x => Number.isInteger(x);
+const isStringOrNull = x => x === null || typeof x === "string";
+
+// Add the moves of a JSON line below node; returns an error message or null.
+function readJsonLine(list, node, rules, path) {
+  if (!Array.isArray(list)) return `${path}: must be an array of moves`;
+  let n = node;
+  for (let i = 0; i < list.length; i++) {
+    const m = list[i];
+    const at = `${path}[${i}]`;
+    if (m === null || typeof m !== "object") return `${at}: must be a move object`;
+
+    let child;
+    if (m.swap === true) {
+      child = addChild(n, null, SWAP_MOVE);
+    } else {
+      if (m.side !== 0 && m.side !== 1) return `${at}.side: must be 0 or 1`;
+      if (!isInt(m.pit) || m.pit < 0 || m.pit >= rules.pitsPerSide) {
+        return `${at}.pit: must be a pit number from 0 to ${rules.pitsPerSide - 1}`;
+      }
+      child = addChild(n, m.side, m.pit);
+    }
+
+    if (m.note !== undefined) {
+      const note = m.note;
+      if (note === null || !GLYPHS[note.label]) return `${at}.note.label: must be one of ${Object.keys(GLYPHS).join(", ")}`;
+      if (typeof note.loss !== "number" || !(note.loss >= 0)) return `${at}.note.loss: must be a number ≥ 0`;
+      if (!isInt(note.best) || note.best < SWAP_MOVE || note.best >= rules.pitsPerSide) return `${at}.note.best: must be a move`;
+      child.note = { label: note.label, loss: note.loss, best: note.best };
+    }
+    if (m.comment !== undefined) {
+      if (typeof m.comment !== "string") return `${at}.comment: must be a string`;
+      if (m.comment) child.comment = m.comment;
+    }
+    if (m.variations !== undefined) {
+      if (!Array.isArray(m.variations)) return `${at}.variations: must be an array of lines`;
+      for (let v = 0; v < m.variations.length; v++) {
+        if (!Array.isArray(m.variations[v]) || m.variations[v].length === 0) return `${at}.variations[${v}]: must be a non-empty array of moves`;
+        const error = readJsonLine(m.variations[v], n, rules, `${at}.variations[${v}]`);
+        if (error) return error;
+      }
+    }
+    n = child;
+  }
+  return null;
+}
+
+// Headers of a JSON record; returns an error message or null.
+function readJsonHeaders(src, h) {
+  if (src === null || typeof src !== "object") return "headers: must be an object";
+
+  const r = parseRulesString(typeof src.rules === "string" ? src.rules : "?");
+  if (!r.ok) return `headers.rules: ${r.error}`;
+  h.rules = r.rules;
+
+  if (src.mode !== undefined) {
+    if (!isStringOrNull(src.mode)) return "headers.mode: must be a string or null";
+    h.mode = src.mode;
+  }
+  if (src.players !== undefined) {
+    if (!Array.isArray(src.players) || src.players.length !== 2 || !src.players.every(isStringOrNull)) {
+      return "headers.players: must be [P0, P1] (strings or null)";
+    }
+    h.players = [...src.players];
+  }
+  if (src.date !== undefined) {
+    if (!isStringOrNull(src.date)) return "headers.date: must be a string or null";
+    h.date = src.date;
+  }
+  if (src.result !== undefined) {
+    if (!RESULTS.includes(src.result)) return `headers.result: must be one of ${RESULTS.join(", ")}`;
+    h.result = src.result;
+  }
+  if (src.stores !== undefined && src.stores !== null) {
+    if (!Array.isArray(src.stores) || src.stores.length !== 2 || !src.stores.every(x => isInt(x) && x >= 0)) {
+      return "headers.stores: must be [P0, P1] store counts or null";
+    }
+    h.stores = [...src.stores];
+  }
+  if (src.openingSeed !== undefined && src.openingSeed !== null) {
+    if (!isInt(src.openingSeed) || src.openingSeed < 0) return "headers.openingSeed: must be a whole number or null";
+    h.openingSeed = src.openingSeed;
+  }
+  if (src.start !== undefined && src.start !== null) {
+    const p = parsePositionString(typeof src.start === "string" ? src.start : "", h.rules);
+    if (!p.ok) return `headers.start: ${p.error}`;
+    if (p.rules !== h.rules) return "headers.start: must not name rules (use headers.rules)";
+    h.start = p.state;
+  }
+  if (h.start === null && h.rules.randomOpening && h.openingSeed === null) {
+    return "headers.openingSeed: required for a random-opening game";
+  }
+  if (src.extra !== undefined) {
+    if (src.extra === null || typeof src.extra !== "object" || !Object.values(src.extra).every(x => typeof x === "string")) {
+      return "headers.extra: must be an object of strings";
+    }
+    h.extra = { ...src.extra };
+  }
+  return null;
+}
+
+/**
+ * JSON form -> record.
+ * Returns { ok: true, record } or { ok: false, error, line, column }; line/column are
+ * given for JSON syntax errors (when the JS engine reports a position) and null for
+ * records that are valid JSON but not a valid record (error then names the field).
+ */
+export function recordFromJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    const lc = /line (\d+) column (\d+)/.exec(e.message);
+    const pos = /position (\d+)/.exec(e.message);
+    const where = lc ? { line: Number(lc[1]), column: Number(lc[2]) }
+                : pos ? lineCol(text, Number(pos[1]))
+                : { line: null, column: null };
+    return { ok: false, error: `Invalid JSON: ${e.message}`, ...where };
+  }
+  const fail = error => ({ ok: false, error, line: null, column: null });
+
+  if (data === null || typeof data !== "object" || data.format !== FORMAT) return fail(`format: must be "${FORMAT}"`);
+  if (!isInt(data.version) || data.version < 1) return fail("version: must be a whole number");
+  if (data.version > RECORD_VERSION) {
+    return fail(`Record version ${data.version} is newer than this program supports (${RECORD_VERSION})`);
+  }
+
+  const rec = makeRecord({ rules: makeRules() });
+  let error = readJsonHeaders(data.headers, rec.headers);
+  if (error) return fail(error);
+  if (data.comment !== undefined) {
+    if (typeof data.comment !== "string") return fail("comment: must be a string");
+    rec.comment = data.comment;
+  }
+  error = readJsonLine(data.moves === undefined ? [] : data.moves, rec.tree, rec.headers.rules, "moves");
+  if (error) return fail(error);
+  return { ok: true, record: rec };
+}
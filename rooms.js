@@ -0,0 +1,159 @@
+// rooms.js
+// Online rooms for two people playing HvH on their own screens, kept by worker.js in
+// KV as room:<code>. A player creates a room and passes the join code on; each seat
+// has a secret token (kept by the browser, see online.js) that goes with every move.
+// Moves are checked against engine.js and the opponent picks them up by polling.
+//
+// Stored room: {
+//   code, created, updated (ms since the epoch),
+//   rules,        // rulesToString tokens without the brackets ("" = default rules)
+//   openingSeed,  // deal of a randomOpening game, or null
+//   tokens,       // [P0's, P1's] (null while the seat is free)
+//   moves,        // pit indexes of the moves so far (SWAP_MOVE for a swap)
+// }
+// KV is eventually consistent: a poll served from another data centre can lag behind
+// for up to a minute, and two moves sent at once can race. Moves carry the ply they
+// are for, so a stale client is told to resync rather than play twice.
+
+import { initStandard, getValidMoves, playMove, isTerminal, winnerOf, SWAP_MOVE } from "./engine.js";
+import { parseRulesString, rulesToString, movesToString } from "./notation.js";
+
+export const ROOM_TTL_S = 24 * 3600; // rooms disappear a day after their last move
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I
+const CODE_LENGTH = 6;
+
+const roomKey = code => `room:${code}`;
+
+function randomCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+  return [...bytes].map(b => CODE_CHARS[b % CODE_CHARS.length]).join("");
+}
+
+/** Join codes as typed: any case, spaces ignored. Returns the code or null. */
+export function normalizeCode(s) {
+  const code = String(s || "").replace(/\s+/g, "").toUpperCase();
+  return (code.length === CODE_LENGTH && [...code].every(c => CODE_CHARS.includes(c))) ? code : null;
+}
+
+// The room's rules, its position after the moves and the moves with their movers
+function replayRoom(room) {
+  const rules = parseRulesString(room.rules).rules;
+  let st = initStandard(rules, 0, room.openingSeed ?? 0);
+  const movers = [];
+  for (const pit of room.moves) {
+    movers.push({ mover: st.toMove, pitIndex: pit });
+    st = playMove(st, rules, pit).state;
+  }
+  return { rules, st, movers };
+}
+
+/**
+ * What everyone may see of a room: { code, rules, openingSeed, moves, plies, toMove,
+ * joined: [P0, P1], finished, winner, updated }. moves is a move string with the rules
+ * block and seed (parseMoveString); winner is 0 | 1 | -1 (draw), null while unfinished.
+ */
+export function roomView(room) {
+  const { rules, st, movers } = replayRoom(room);
+  const finished = isTerminal(st, rules) || getValidMoves(st, rules).length === 0;
+  return {
+    code: room.code,
+    rules: room.rules,
+    openingSeed: room.openingSeed,
+    moves: movesToString(movers, room.openingSeed, rules),
+    plies: room.moves.length,
+    toMove: st.toMove,
+    joined: room.tokens.map(t => t !== null),
+    finished,
+    winner: finished ? winnerOf(st, rules) : null,
+    updated: room.updated,
+  };
+}
+
+async function saveRoom(kv, room) {
+  await kv.put(roomKey(room.code), JSON.stringify(room), { expirationTtl: ROOM_TTL_S });
+}
+
+async function loadRoom(kv, code) {
+  const c = normalizeCode(code);
+  return c ? kv.get(roomKey(c), "json") : null;
+}
+
+const notFound = { ok: false, status: 404, error: "No such room (rooms expire a day after the last move)" };
+
+/**
+ * New room under rulesText (rulesToString tokens, "" for the default rules), the
+ * creator taking seat side. A random opening gets its deal here.
+ * Returns { ok: true, code, token, side, room: roomView } or { ok: false, status, error }.
+ */
+export async function createRoom(kv, rulesText, side, now = Date.now()) {
+  const r = parseRulesString(rulesText);
+  if (!r.ok) return { ok: false, status: 400, error: r.error };
+  if (r.rules.pitsPerSide > 26) return { ok: false, status: 400, error: "Rooms use move letters, which stop at 26 pits per side" };
+
+  let code = null;
+  for (let i = 0; i < 5 && code === null; i++) {
+    const c = randomCode();
+    if (!(await kv.get(roomKey(c)))) code = c;
+  }
+  if (code === null) return { ok: false, status: 503, error: "Could not find a free room code; try again" };
+
+  const token = crypto.randomUUID();
+  const room = {
+    code,
+    created: now,
+    updated: now,
+    rules: rulesToString(r.rules).slice(1, -1),
+    openingSeed: r.rules.randomOpening ? Math.floor(Math.random() * 1e6) : null,
+    tokens: side === 1 ? [null, token] : [token, null],
+    moves: [],
+  };
+  await saveRoom(kv, room);
+  return { ok: true, code, token, side: side === 1 ? 1 : 0, room: roomView(room) };
+}
+
+/** Take the free seat. Returns { ok: true, code, token, side, room } or { ok: false, status, error }. */
+export async function joinRoom(kv, code, now = Date.now()) {
+  const room = await loadRoom(kv, code);
+  if (!room) return notFound;
+  const side = room.tokens.indexOf(null);
+  if (side < 0) return { ok: false, status: 409, error: "The room is full" };
+
+  const token = crypto.randomUUID();
+  room.tokens[side] = token;
+  room.updated = now;
+  await saveRoom(kv, room);
+  return { ok: true, code: room.code, token, side, room: roomView(room) };
+}
+
+/** Returns { ok: true, room: roomView } or { ok: false, status, error }. */
+export async function getRoom(kv, code) {
+  const room = await loadRoom(kv, code);
+  return room ? { ok: true, room: roomView(room) } : notFound;
+}
+
+/**
+ * Play pit (SWAP_MOVE for the pie swap) for the holder of token, as move number ply + 1
+ * (ply = moves the client has seen). Returns { ok: true, room: roomView } or
+ * { ok: false, status, error }; 409 means the client is out of date and should reload
+ * the room.
+ */
+export async function playRoomMove(kv, code, token, pit, ply, now = Date.now()) {
+  const room = await loadRoom(kv, code);
+  if (!room) return notFound;
+  const side = room.tokens.indexOf(token);
+  if (side < 0) return { ok: false, status: 403, error: "Not a player in this room" };
+  if (room.tokens.includes(null)) return { ok: false, status: 409, error: "Waiting for the opponent to join" };
+  if (ply !== room.moves.length) return { ok: false, status: 409, error: `Out of date: the game is at ply ${room.moves.length}` };
+
+  const { rules, st } = replayRoom(room);
+  if (isTerminal(st, rules) || getValidMoves(st, rules).length === 0) return { ok: false, status: 409, error: "The game is over" };
+  if (st.toMove !== side) return { ok: false, status: 409, error: "Not your turn" };
+  if (!getValidMoves(st, rules).includes(pit)) {
+    return { ok: false, status: 400, error: pit === SWAP_MOVE ? "No swap allowed now" : "Illegal move" };
+  }
+
+  room.moves.push(pit);
+  room.updated = now;
+  await saveRoom(kv, room);
+  return { ok: true, room: roomView(room) };
+}
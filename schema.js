@@ -0,0 +1,75 @@
+// schema.js
+// Checks parsed JSON against a small subset of JSON Schema:
+//   { type: "object", properties: { name: schema }, required: [name], additionalProperties: false }
+//   { type: "array", items: schema, minItems, maxItems }
+//   { type: "string", minLength, maxLength, enum: [value] }
+//   { type: "integer" | "number", minimum, maximum }
+//   { type: "boolean" }
+// plus nullable: true to also accept null. A property that is not required may be left
+// out (or be undefined).
+
+function typeOk(type, v) {
+  switch (type) {
+    case "object": return typeof v === "object" && v !== null && !Array.isArray(v);
+    case "array": return Array.isArray(v);
+    case "integer": return Number.isInteger(v);
+    case "number": return typeof v === "number" && Number.isFinite(v);
+    default: return typeof v === type;
+  }
+}
+
+const TYPE_NAME = { object: "an object", array: "an array", integer: "a whole number", number: "a number" };
+
+/**
+ * Returns { ok: true } or { ok: false, error, path } for the first problem found;
+ * path names the field ("players[1]", "" for value itself) and error starts with it.
+ */
+export function validate(schema, value, path = "") {
+  const fail = msg => ({ ok: false, error: `${path || "The request body"} ${msg}`, path });
+
+  if (value === null && schema.nullable) return { ok: true };
+  if (!typeOk(schema.type, value)) {
+    return fail(`must be ${TYPE_NAME[schema.type] || `a ${schema.type}`}${schema.nullable ? " or null" : ""}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.map(x => JSON.stringify(x)).join(", ")}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters long`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return fail(`must be at most ${schema.maxLength} characters long`);
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const r = validate(schema.items, value[i], `${path}[${i}]`);
+        if (!r.ok) return r;
+      }
+    }
+  }
+
+  if (schema.type === "object") {
+    const props = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) return { ok: false, error: `${path ? `${path}.` : ""}${name} is required`, path: path ? `${path}.${name}` : name };
+    }
+    for (const [name, v] of Object.entries(value)) {
+      const sub = path ? `${path}.${name}` : name;
+      if (!props[name]) {
+        if (schema.additionalProperties === false) return { ok: false, error: `Unknown field ${sub}`, path: sub };
+        continue;
+      }
+      if (v === undefined) continue;
+      const r = validate(props[name], v, sub);
+      if (!r.ok) return r;
+    }
+  }
+  return { ok: true };
+}
@@ -0,0 +1,277 @@
+// search-check.js
+// Checks the alpha-beta search of ai.js against a plain minimax without pruning or
+// transposition table (same scores, on small boards and depths), the timed search,
+// the weights, the reported principal variation and the endgame tables of endgame.js
+// against a brute-force solve.
+//
+// Usage (Node 20.19+ / 22, run from the repo root):
+//   node search-check.js
+//
+// Prints one line per check and exits with code 1 if any failed.
+
+import {
+  makeRules, RuleSet, CaptureRule, initStandard, initFromArrays, getValidMoves, playMove, isTerminal, pit1Index,
+} from "./engine.js";
+import { bestMove, bestMoveTimed, scoreMoves, makeWeights } from "./ai.js";
+import {
+  buildEndgameTable, probeEndgame, endgameMatches, serializeEndgameTable, deserializeEndgameTable,
+} from "./endgame.js";
+import { letterForMove } from "./notation.js";
+
+let failures = 0;
+
+function check(name, ok, detail) {
+  if (!ok) failures++;
+  console.log(`${ok ? "ok  " : "FAIL"} ${name}${!ok && detail !== undefined ? `: ${JSON.stringify(detail)}` : ""}`);
+}
+
+// small deterministic PRNG for the test positions
+function makeRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (Math.imul(a, 1103515245) + 12345) >>> 0;
+    return a / 4294967296;
+  };
+}
+
+const RULES = [
+  ["n=3 s=2", makeRules({ pitsPerSide: 3, seedsPerPit: 2 })],
+  ["n=4 s=3", makeRules({ pitsPerSide: 4, seedsPerPit: 3 })],
+  ["n=4 s=2 no capture, no sweep", makeRules({ pitsPerSide: 4, seedsPerPit: 2, captureRule: CaptureRule.NONE, sweepOnGameEnd: false })],
+  ["n=4 s=2 misère", makeRules({ pitsPerSide: 4, seedsPerPit: 2, misere: true })],
+  ["n=3 s=2 pie", makeRules({ pitsPerSide: 3, seedsPerPit: 2, pieRule: true })],
+  ["oware n=4 s=2", makeRules({ ruleSet: RuleSet.OWARE, pitsPerSide: 4, seedsPerPit: 2 })],
+];
+
+// the start position and a few positions after random moves
+function testPositions(rules, count, rng) {
+  const out = [initStandard(rules)];
+  while (out.length < count) {
+    let st = initStandard(rules);
+    const plies = 1 + Math.floor(rng() * 8);
+    for (let i = 0; i < plies && !isTerminal(st, rules); i++) {
+      const moves = getValidMoves(st, rules);
+      if (moves.length === 0) break;
+      st = playMove(st, rules, moves[Math.floor(rng() * moves.length)]).state;
+    }
+    if (!isTerminal(st, rules) && getValidMoves(st, rules).length > 0) out.push(st);
+  }
+  return out;
+}
+
+// ---------- reference minimax ----------
+
+function sideSeeds(st, side) {
+  return st.pits[side].reduce((a, b) => a + b, 0);
+}
+
+function nonEmptyPits(st, side) {
+  return st.pits[side].filter(s => s > 0).length;
+}
+
+// ai.js's leaf evaluation, for weights without captureThreats and overflow
+function evaluate(st, rules, root, w) {
+  const o = 1 - root.side;
+  const dp = st.store[root.side] - root.store[root.side];
+  const do_ = st.store[o] - root.store[o];
+  const kalah = rules.ruleSet !== RuleSet.OWARE;
+  const pit1Empty = (kalah && st.pits[root.side][pit1Index(rules)] === 0) ? 1 : 0;
+  return (rules.misere ? -1 : 1) * w.store * (dp - do_) + w.extraTurns * root.extraTurns + w.pit1Empty * pit1Empty +
+    w.seedsOnSide * (sideSeeds(st, root.side) - sideSeeds(st, o)) +
+    w.mobility * (nonEmptyPits(st, root.side) - nonEmptyPits(st, o));
+}
+
+// Value of st for the root player: every line to depth plies, no pruning, no table.
+function minimax(st, rules, depth, root, extraTurns, w) {
+  const moves = getValidMoves(st, rules);
+  if (depth <= 0 || isTerminal(st, rules) || moves.length === 0) {
+    return evaluate(st, rules, { ...root, extraTurns }, w);
+  }
+  const values = moves.map(mv => {
+    const res = playMove(st, rules, mv);
+    const extra = extraTurns + ((res.mover === root.side && res.extraTurn) ? 1 : 0);
+    return minimax(res.state, rules, depth - 1, root, extra, w);
+  });
+  return (st.toMove === root.side) ? Math.max(...values) : Math.min(...values);
+}
+
+// Reference scores of every root move: [{ move, score }]
+function referenceScores(st, rules, depth, weights) {
+  const w = makeWeights(weights);
+  const root = { side: st.toMove, store: [...st.store] };
+  return getValidMoves(st, rules).map(mv => {
+    const res = playMove(st, rules, mv);
+    const extra = (res.mover === root.side && res.extraTurn) ? 1 : 0;
+    return { move: mv, score: minimax(res.state, rules, depth - 1, root, extra, w) };
+  });
+}
+
+// ---------- alpha-beta with the transposition table ----------
+
+function checkSearch(weights, label) {
+  const rng = makeRng(1);
+  for (const [name, rules] of RULES) {
+    const bad = [];
+    for (const st of testPositions(rules, 12, rng)) {
+      for (let depth = 1; depth <= 6; depth++) {
+        const ref = referenceScores(st, rules, depth, weights);
+        const best = Math.max(...ref.map(x => x.score));
+        const r = bestMove(st, rules, depth, { weights });
+        const chosen = ref.find(x => x.move === r.move);
+        if (r.score !== best || !chosen || chosen.score !== best) bad.push({ depth, best, got: r.score, move: r.move });
+
+        const scores = scoreMoves(st, rules, depth, { weights });
+        for (const { move, score } of ref) {
+          const got = scores.find(x => x.move === move);
+          if (!got || got.score !== score) bad.push({ depth, move, score, got: got && got.score });
+        }
+      }
+    }
+    check(`bestMove / scoreMoves match minimax (${name}, ${label})`, bad.length === 0, bad.slice(0, 3));
+  }
+}
+
+// ---------- timed search ----------
+
+function checkTimed() {
+  const rules = makeRules();
+  const st = initStandard(rules);
+  const fixed = bestMove(st, rules, 5);
+  const timed = bestMoveTimed(st, rules, Infinity, { maxDepth: 5 });
+  check("bestMoveTimed without a time limit = bestMove at maxDepth",
+    timed.move === fixed.move && timed.score === fixed.score && timed.depth === 5, { fixed, timed });
+
+  const depths = [];
+  const r = bestMoveTimed(st, rules, 50, { onIteration: it => depths.push(it.depth) });
+  check("bestMoveTimed reports each finished iteration", depths.length > 0 && depths.every((d, i) => d === i + 1), depths);
+  check("bestMoveTimed returns the deepest finished iteration",
+    r.hasMove && getValidMoves(st, rules).includes(r.move) && r.depth === depths.at(-1), r);
+
+  const forced = initFromArrays(rules, [0, 0, 0, 0, 0, 3], [1, 1, 1, 1, 1, 1], 0, 0, 0);
+  const f = bestMoveTimed(forced, rules, 10000);
+  check("bestMoveTimed does not think about a forced move", f.move === 5 && f.depth === 1, f);
+}
+
+// ---------- weights ----------
+
+function checkWeights() {
+  const w = makeWeights({ mobility: 2 });
+  check("makeWeights puts a partial object on top of the defaults", w.mobility === 2 && w.store === makeWeights().store, w);
+  let threw = false;
+  try {
+    makeWeights("no-such-preset");
+  } catch {
+    threw = true;
+  }
+  check("makeWeights rejects an unknown preset", threw);
+  threw = false;
+  try {
+    makeWeights({ store: 0 });
+  } catch {
+    threw = true;
+  }
+  check("makeWeights rejects a store weight of 0", threw);
+}
+
+// ---------- principal variation ----------
+
+function checkPv() {
+  const bad = [];
+  for (const [name, rules] of RULES) {
+    for (const st of testPositions(rules, 4, makeRng(2))) {
+      const r = bestMove(st, rules, 4);
+      // replay the PV: legal moves, starting with the move played
+      let cur = st;
+      let ok = r.pv.length >= 1 && r.pv.length <= 4 && r.pv[0] === letterForMove(st.toMove, r.move) && r.nodes > 0;
+      for (const ch of r.pv) {
+        const mv = ch === "*" ? -1 : ch.toLowerCase().charCodeAt(0) - 97;
+        const side = ch === "*" ? cur.toMove : (ch >= "a" ? 0 : 1);
+        if (!ok || side !== cur.toMove || !getValidMoves(cur, rules).includes(mv)) {
+          ok = false;
+          break;
+        }
+        cur = playMove(cur, rules, mv).state;
+      }
+      if (!ok) bad.push({ name, pv: r.pv, move: r.move, nodes: r.nodes });
+    }
+  }
+  check("the principal variation is a legal line from the chosen move", bad.length === 0, bad.slice(0, 3));
+}
+
+// ---------- endgame tables ----------
+
+// Exact rest-of-game margin for the side to move, by trying every line.
+function bruteForce(st, rules) {
+  if (isTerminal(st, rules)) {
+    return rules.sweepOnGameEnd ? sideSeeds(st, st.toMove) - sideSeeds(st, 1 - st.toMove) : 0;
+  }
+  const mover = st.toMove;
+  const values = getValidMoves(st, rules).map(mv => {
+    const res = playMove(st, rules, mv);
+    const gain = (res.state.store[mover] - st.store[mover]) - (res.state.store[1 - mover] - st.store[1 - mover]);
+    if (isTerminal(res.state, rules)) return gain;
+    const v = bruteForce(res.state, rules);
+    return gain + (res.state.toMove === mover ? v : -v);
+  });
+  if (values.length === 0) return 0;
+  return rules.misere ? Math.min(...values) : Math.max(...values);
+}
+
+// every position of n pits per side with up to maxSeeds seeds in play
+function allPositions(rules, maxSeeds) {
+  const n = rules.pitsPerSide;
+  const out = [];
+  const cells = new Array(2 * n).fill(0);
+  function fill(c, left) {
+    if (c === cells.length) {
+      for (const toMove of [0, 1]) out.push(initFromArrays(rules, cells.slice(0, n), cells.slice(n), 0, 0, toMove));
+      return;
+    }
+    for (let v = 0; v <= left; v++) {
+      cells[c] = v;
+      fill(c + 1, left - v);
+    }
+  }
+  fill(0, maxSeeds);
+  return out;
+}
+
+function checkEndgame() {
+  for (const [name, rules, maxSeeds] of [
+    ["n=2", makeRules({ pitsPerSide: 2, seedsPerPit: 1 }), 7],
+    ["n=3", makeRules({ pitsPerSide: 3, seedsPerPit: 1 }), 5],
+    ["n=3 no capture, no sweep", makeRules({ pitsPerSide: 3, seedsPerPit: 1, captureRule: CaptureRule.NONE, sweepOnGameEnd: false }), 5],
+    ["n=3 no extra turns", makeRules({ pitsPerSide: 3, seedsPerPit: 1, extraTurnOnStore: false }), 5],
+    ["n=3 misère", makeRules({ pitsPerSide: 3, seedsPerPit: 1, misere: true }), 5],
+  ]) {
+    const table = buildEndgameTable(rules, maxSeeds);
+    const positions = allPositions(rules, maxSeeds);
+    const bad = positions.filter(st => probeEndgame(table, st) !== bruteForce(st, rules));
+    check(`endgame table = brute force (${name}, ${positions.length} positions)`, bad.length === 0,
+      bad.slice(0, 3).map(st => ({ pits: st.pits, toMove: st.toMove, table: probeEndgame(table, st), brute: bruteForce(st, rules) })));
+
+    const copy = deserializeEndgameTable(serializeEndgameTable(table));
+    check(`endgame table survives serialize / deserialize (${name})`,
+      endgameMatches(copy, rules) && positions.every(st => probeEndgame(copy, st) === probeEndgame(table, st)));
+  }
+
+  const big = makeRules({ pitsPerSide: 2, seedsPerPit: 1 });
+  const table = buildEndgameTable(big, 3);
+  check("positions with more seeds than the table are not probed",
+    probeEndgame(table, initFromArrays(big, [2, 1], [1, 0])) === null);
+
+  // a pie swap still open (either side's) changes the game: no table answer
+  const pie = makeRules({ pitsPerSide: 2, seedsPerPit: 1, pieRule: true });
+  const pieTable = buildEndgameTable(pie, 4);
+  const opened = playMove(initStandard(pie), pie, 1).state; // extra turn: P0 again, P1's swap still open
+  check("no table answer while a pie swap is open", opened.pieSide === 1 && probeEndgame(pieTable, opened) === null, opened);
+}
+
+checkSearch("default", "default weights");
+checkSearch({ extraTurns: 3, pit1Empty: 0, seedsOnSide: 1, mobility: 2 }, "custom weights");
+checkTimed();
+checkWeights();
+checkPv();
+checkEndgame();
+console.log(failures ? `${failures} check(s) failed` : "all checks passed");
+if (failures) process.exitCode = 1;
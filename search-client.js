@@ -0,0 +1,68 @@
+// search-client.js
+// Main-thread handle on search-worker.js. One job at a time; a new job or cancel()
+// terminates the worker mid-search and spawns a fresh one. Worker-wide settings
+// (the endgame table) are re-sent to every fresh worker. A worker that throws is
+// replaced the same way, and its job ends with { failed: true, error }.
+
+export function makeSearchClient() {
+  let worker = null;
+  let job = null; // { id, onProgress, resolve }
+  let seq = 0;
+  let endgameBytes = null;
+
+  function finish(result) {
+    const j = job;
+    job = null;
+    j.resolve(result);
+  }
+
+  function spawn() {
+    worker = new Worker(new URL("./search-worker.js", import.meta.url), { type: "module" });
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (!job || msg.id !== job.id) return; // stale message from a cancelled job
+      if (msg.type === "progress") {
+        if (job.onProgress) job.onProgress(msg);
+      } else if (msg.type === "result") {
+        finish(msg.result);
+      }
+    };
+
+    worker.onerror = (e) => {
+      worker.terminate();
+      spawn();
+      if (job) finish({ failed: true, error: e.message || "search worker failed" });
+    };
+
+    if (endgameBytes) worker.postMessage({ type: "endgame", bytes: endgameBytes });
+  }
+
+  function cancel() {
+    if (!job) return;
+    worker.terminate();
+    finish(null);
+    spawn();
+  }
+
+  /**
+   * Post a job to the worker. Resolves with its result, null if cancelled, or
+   * { failed: true, error } if the worker threw.
+   */
+  function run(msg, onProgress = null) {
+    cancel();
+    return new Promise((resolve) => {
+      job = { id: ++seq, onProgress, resolve };
+      worker.postMessage({ ...msg, id: job.id });
+    });
+  }
+
+  /** Install (or clear, with null) the endgame table used by searches. */
+  function setEndgame(bytes) {
+    endgameBytes = bytes;
+    worker.postMessage({ type: "endgame", bytes });
+  }
+
+  spawn();
+  return { run, cancel, setEndgame, busy: () => job !== null };
+}
@@ -0,0 +1,119 @@
+// search-worker.js
+// Runs the AI search off the main thread (module worker, see search-client.js).
+//
+// In:  { id, type: "search", engine, state, rules, limit, weights }
+//        engine "alphabeta": limit { depth } | { timeMs }
+//        engine "mcts":      limit { playouts } | { timeMs }
+//        weights: eval preset name or weights object (alphabeta only)
+//      { id, type: "analyze", state, rules, depth, weights }   score every legal move
+//      { id, type: "evalGraph", states, firstPly, rules, depth }   evaluate a game's positions
+//      { id, type: "annotate", states, moves, rules, depth }       label moves[i] played in states[i]
+//      { id, type: "buildEndgame", rules, maxSeeds, loadOnly }
+//      { type: "endgame", bytes }                   install (or clear, bytes=null) the endgame table
+// Out: { id, type: "progress", ... }                alphabeta: { depth, move, score, pv, nodes, cutoffs, timeMs }
+//                                                    per finished iteration
+//                                                  mcts: { playouts, move, score, depth, pv, nodes, timeMs }
+//                                                    every 1000 playouts
+//                                                  evalGraph: { ply, value } per position
+//                                                  annotate: { ply, note } per move
+//                                                  buildEndgame: { done, total }
+//      { id, type: "result", result }              search: same shape as bestMove()
+//                                                  analyze: { scores: [{ move, score }] } as scoreMoves()
+//                                                  evalGraph: { values } (P0's view, see evaluateForP0)
+//                                                  annotate: { notes } (see annotateMove)
+//                                                  buildEndgame: { ok, bytes? , error? }
+//
+// There is no cooperative cancel: the UI terminates the worker and starts a new one.
+import { bestMoveTimed, scoreMoves, evaluateForP0 } from "./ai.js";
+import { bestMove as mctsBestMove } from "./mcts.js";
+import { annotateMove } from "./annotate.js";
+import {
+  buildEndgameTable, serializeEndgameTable, deserializeEndgameTable,
+  loadEndgameBytes, saveEndgameBytes,
+} from "./endgame.js";
+
+let endgame = null;
+
+function search(msg) {
+  const { state, rules, limit, weights } = msg;
+  const progress = (p) => self.postMessage({ id: msg.id, type: "progress", ...p });
+
+  let result;
+  if (msg.engine === "mcts") {
+    result = mctsBestMove(state, rules, { ...limit, onProgress: progress, endgame });
+  } else if (limit.timeMs !== undefined) {
+    result = bestMoveTimed(state, rules, limit.timeMs, { onIteration: progress, weights, endgame });
+  } else {
+    // Fixed depth is iterative deepening without a clock, so progress works for both.
+    result = bestMoveTimed(state, rules, Infinity, {
+      maxDepth: Math.max(1, limit.depth), onIteration: progress, weights, endgame,
+    });
+  }
+
+  self.postMessage({ id: msg.id, type: "result", result });
+}
+
+function analyze(msg) {
+  const { state, rules, depth, weights } = msg;
+  const scores = scoreMoves(state, rules, Math.max(1, depth), { weights, endgame });
+  self.postMessage({ id: msg.id, type: "result", result: { scores } });
+}
+
+// states[i] is the position after firstPly + i plies
+function evalGraph(msg) {
+  const { states, firstPly, rules, depth } = msg;
+  const values = [];
+  for (let i = 0; i < states.length; i++) {
+    const value = evaluateForP0(states[i], rules, depth, { endgame });
+    values.push(value);
+    self.postMessage({ id: msg.id, type: "progress", ply: firstPly + i, value });
+  }
+  self.postMessage({ id: msg.id, type: "result", result: { values } });
+}
+
+function annotate(msg) {
+  const { states, moves, rules, depth } = msg;
+  const notes = [];
+  for (let i = 0; i < moves.length; i++) {
+    const note = annotateMove(states[i], rules, moves[i], Math.max(1, depth), { endgame });
+    notes.push(note);
+    self.postMessage({ id: msg.id, type: "progress", ply: i, note });
+  }
+  self.postMessage({ id: msg.id, type: "result", result: { notes } });
+}
+
+async function buildEndgame(msg) {
+  const { rules, maxSeeds, loadOnly } = msg;
+  let result;
+  try {
+    let bytes = await loadEndgameBytes(rules, maxSeeds);
+    if (!bytes && !loadOnly) {
+      const table = buildEndgameTable(rules, maxSeeds, (done, total) => {
+        self.postMessage({ id: msg.id, type: "progress", done, total });
+      });
+      bytes = serializeEndgameTable(table);
+      await saveEndgameBytes(rules, maxSeeds, bytes);
+    }
+    result = bytes ? { ok: true, bytes } : { ok: false, error: "no saved table" };
+  } catch (e) {
+    result = { ok: false, error: e.message };
+  }
+  self.postMessage({ id: msg.id, type: "result", result });
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "endgame") {
+    endgame = msg.bytes ? deserializeEndgameTable(msg.bytes) : null;
+  } else if (msg.type === "search") {
+    search(msg);
+  } else if (msg.type === "analyze") {
+    analyze(msg);
+  } else if (msg.type === "evalGraph") {
+    evalGraph(msg);
+  } else if (msg.type === "annotate") {
+    annotate(msg);
+  } else if (msg.type === "buildEndgame") {
+    buildEndgame(msg);
+  }
+};
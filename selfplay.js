@@ -0,0 +1,217 @@
+// selfplay.js
+// Headless self-play harness: plays engine.js games between two AI configurations and
+// reports how they compare, or tunes evaluation weights against a baseline.
+//
+// Usage (Node 20.19+ / 22, run from the repo root):
+//   node selfplay.js match [--a SPEC] [--b SPEC] [--depth 4] [--games 400] [--plies 4] [--seed 1]
+//   node selfplay.js tune  [--base SPEC] [--depth 4] [--games 200] [--rounds 3] [--seed 1]
+//
+// SPEC is an eval preset name ("default", "greedy", ...), a JSON weights object
+// ('{"mobility":2}', on top of the defaults) or "mcts:<playouts>".
+// --a-depth / --b-depth override --depth per side.
+//
+// Every opening (--plies random moves from the start position) is played twice,
+// once with each configuration moving first.
+
+import { makeRules, initStandard, getValidMoves, playMove, isTerminal } from "./engine.js";
+import { bestMove, EvalPresets, makeWeights } from "./ai.js";
+import { bestMove as mctsBestMove } from "./mcts.js";
+
+// ---------- args ----------
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      args[a.slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(a);
+    }
+  }
+  return args;
+}
+
+function intArg(args, name, def, min = 0) {
+  if (args[name] === undefined) return def;
+  const v = parseInt(args[name], 10);
+  if (!Number.isInteger(v) || v < min) throw new Error(`--${name} must be an int >= ${min}`);
+  return v;
+}
+
+/** SPEC + depth -> player { label, weights?, playouts?, depth } */
+function parsePlayer(spec, depth) {
+  if (spec.startsWith("mcts:")) {
+    const playouts = parseInt(spec.slice(5), 10);
+    if (!Number.isInteger(playouts) || playouts <= 0) throw new Error(`bad mcts spec: ${spec}`);
+    return { label: spec, playouts };
+  }
+  const weights = spec.trim().startsWith("{") ? makeWeights(JSON.parse(spec)) : makeWeights(spec);
+  return { label: `${spec} d=${depth}`, weights, depth };
+}
+
+// mulberry32: small seeded PRNG so runs are repeatable
+function makeRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------- games ----------
+function randomOpening(rules, plies, rng) {
+  for (;;) {
+    let st = initStandard(rules, 0);
+    for (let i = 0; i < plies && !isTerminal(st, rules); i++) {
+      const moves = getValidMoves(st, rules);
+      st = playMove(st, rules, moves[Math.floor(rng() * moves.length)]).state;
+    }
+    if (!isTerminal(st, rules)) return st;
+  }
+}
+
+function choose(player, st, rules, rng) {
+  if (player.playouts) return mctsBestMove(st, rules, { playouts: player.playouts, rng }).move;
+  return bestMove(st, rules, player.depth, { weights: player.weights }).move;
+}
+
+/** Play out a game; players[side] moves for side. Returns store0 - store1. */
+function playGame(rules, start, players, rng) {
+  let st = start;
+  while (!isTerminal(st, rules)) {
+    if (getValidMoves(st, rules).length === 0) break;
+    const res = playMove(st, rules, choose(players[st.toMove], st, rules, rng));
+    if (!res.ok) throw new Error("engine returned an illegal move");
+    st = res.state;
+  }
+  return st.store[0] - st.store[1];
+}
+
+/**
+ * Match A vs B over `games` games (rounded up to whole opening pairs).
+ * Returns { wins, draws, losses, games, margin, score, elo, eloLow, eloHigh } for A.
+ */
+function runMatch(rules, a, b, games, plies, rng, onGame = null) {
+  const results = []; // A's score per game: 1, 0.5, 0
+  let margin = 0;
+
+  while (results.length < games) {
+    const opening = randomOpening(rules, plies, rng);
+    for (const aSide of [0, 1]) {
+      const players = (aSide === 0) ? [a, b] : [b, a];
+      const diff = playGame(rules, opening, players, rng);
+      const aDiff = (aSide === 0) ? diff : -diff;
+      margin += aDiff;
+      results.push(aDiff > 0 ? 1 : aDiff < 0 ? 0 : 0.5);
+      if (onGame) onGame(results.length);
+    }
+  }
+
+  const n = results.length;
+  const wins = results.filter(r => r === 1).length;
+  const draws = results.filter(r => r === 0.5).length;
+  const score = results.reduce((x, y) => x + y, 0) / n;
+  const variance = results.reduce((x, r) => x + (r - score) ** 2, 0) / n;
+  const se = Math.sqrt(variance / n);
+
+  return {
+    games: n,
+    wins,
+    draws,
+    losses: n - wins - draws,
+    margin: margin / n,
+    score,
+    elo: eloFromScore(score),
+    eloLow: eloFromScore(score - 1.96 * se),
+    eloHigh: eloFromScore(score + 1.96 * se),
+  };
+}
+
+function eloFromScore(score) {
+  const s = Math.min(Math.max(score, 1e-6), 1 - 1e-6);
+  return -400 * Math.log10(1 / s - 1);
+}
+
+function formatMatch(a, b, r) {
+  const pct = (x) => (100 * x / r.games).toFixed(1) + "%";
+  return [
+    `${a.label}  vs  ${b.label}   (${r.games} games)`,
+    `  W/D/L: ${r.wins}/${r.draws}/${r.losses}  (${pct(r.wins)} / ${pct(r.draws)} / ${pct(r.losses)})`,
+    `  mean score difference: ${r.margin >= 0 ? "+" : ""}${r.margin.toFixed(2)} seeds`,
+    `  Elo: ${r.elo.toFixed(0)}  [95%: ${r.eloLow.toFixed(0)} .. ${r.eloHigh.toFixed(0)}]`,
+  ].join("\n");
+}
+
+// ---------- tuner ----------
+const TUNABLE = ["extraTurns", "pit1Empty", "seedsOnSide", "mobility", "captureThreats", "overflow"];
+
+/**
+ * Coordinate search: nudge one weight at a time up/down, keep a change only when the
+ * candidate beats the current weights with its Elo lower bound above 0, then halve
+ * the step sizes for the next round.
+ */
+function tune(rules, base, depth, games, rounds, plies, rng) {
+  let current = { ...base };
+  let step = 2;
+
+  for (let round = 1; round <= rounds; round++) {
+    console.log(`round ${round}: step ${step}`);
+    for (const key of TUNABLE) {
+      for (const dir of [1, -1]) {
+        const cand = { ...current, [key]: current[key] + dir * step };
+        const r = runMatch(rules,
+          { label: "candidate", weights: cand, depth },
+          { label: "current", weights: current, depth },
+          games, plies, rng);
+        const verdict = (r.eloLow > 0) ? "accepted" : "rejected";
+        console.log(`  ${key} ${current[key]} -> ${cand[key]}: Elo ${r.elo.toFixed(0)} [${r.eloLow.toFixed(0)} .. ${r.eloHigh.toFixed(0)}] ${verdict}`);
+        if (r.eloLow > 0) {
+          current = cand;
+          break;
+        }
+      }
+    }
+    step = Math.max(0.25, step / 2);
+  }
+  return current;
+}
+
+// ---------- main ----------
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cmd = args._[0] || "match";
+  const rules = makeRules();
+  const depth = intArg(args, "depth", 4);
+  const games = intArg(args, "games", cmd === "tune" ? 200 : 400, 1);
+  const plies = intArg(args, "plies", 4);
+  const rng = makeRng(intArg(args, "seed", 1));
+
+  if (cmd === "match") {
+    const a = parsePlayer(args.a || "default", intArg(args, "a-depth", depth));
+    const b = parsePlayer(args.b || "greedy", intArg(args, "b-depth", depth));
+    const r = runMatch(rules, a, b, games, plies, rng, (done) => {
+      if (done % 50 === 0) process.stderr.write(`  ${done}/${games}\r`);
+    });
+    console.log(formatMatch(a, b, r));
+  } else if (cmd === "tune") {
+    const base = parsePlayer(args.base || "default", depth).weights;
+    if (!base) throw new Error("tune needs an alpha-beta SPEC, not mcts");
+    const best = tune(rules, base, depth, games, intArg(args, "rounds", 3), plies, rng);
+    console.log("tuned weights:");
+    console.log(JSON.stringify(best));
+    const r = runMatch(rules,
+      { label: "tuned", weights: best, depth },
+      { label: args.base || "default", weights: base, depth },
+      games, plies, rng);
+    console.log(formatMatch({ label: `tuned d=${depth}` }, { label: `${args.base || "default"} d=${depth}` }, r));
+  } else {
+    console.error(`unknown command: ${cmd} (expected "match" or "tune"; presets: ${Object.keys(EvalPresets).join(", ")})`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,134 @@
+// share.js
+// Game links: the rules, mode, AI settings and the game itself in the URL hash, e.g.
+//   #v=1&rules=oware+pie&mode=HvAI&ai=alphabeta,6,ply,default&moves=cf(dA)BA
+//
+// Parameters (all optional but v):
+//   v          link format version (SHARE_VERSION)
+//   rules      rulesToString tokens without the brackets (default rules when missing)
+//   mode       "HvAI" | "AIvH" | "HvH" | "AIvAI"
+//   ai, p0, p1 AI settings "engine,limit,kind,eval": the single AI, and P0/P1 in AIvAI
+//   playouts   MCTS playouts
+//   seed       opening seed of a randomOpening game
+//   start      set-up start position (positionToString, no rules block)
+//   moves      the game tree as a move string (treeToString, no header)
+//   record     a whole text game record (record.js), used instead of rules/seed/start/moves
+//              when move letters do not cover the board (more than 26 pits)
+
+import { EvalPresets } from "./ai.js";
+import { rulesToString, parseRulesString, positionToString, parsePositionString, parseMoveString, treeToString } from "./notation.js";
+import { recordToText } from "./record.js";
+
+export const SHARE_VERSION = 1;
+
+const MODES = ["HvAI", "AIvH", "HvH", "AIvAI"];
+const ENGINES = ["alphabeta", "mcts"];
+const KINDS = ["ply", "sec"];
+
+// URLSearchParams-compatible, but leaving the characters of move strings and positions
+// readable
+function encodeParam(v) {
+  return encodeURIComponent(v).replace(/%2C/g, ",").replace(/%2F/g, "/").replace(/%20/g, "+");
+}
+
+function aiToString(ai) {
+  return [ai.engine, ai.limit, ai.kind, ai.evalPreset].join(",");
+}
+
+// "engine,limit,kind,eval" -> { engine, limit, kind, evalPreset }, or null if malformed
+function parseAi(s) {
+  const [engine, limit, kind, evalPreset] = s.split(",");
+  if (!ENGINES.includes(engine) || !KINDS.includes(kind) || !EvalPresets[evalPreset]) return null;
+  if (!(parseFloat(limit) > 0)) return null;
+  return { engine, limit, kind, evalPreset };
+}
+
+/**
+ * Game -> hash (with the leading "#").
+ * game: { rules, mode, ai, p0, p1, playouts, openingSeed, start, tree, record }
+ *   ai/p0/p1 = { engine, limit, kind, evalPreset } (limit as typed: plies or seconds);
+ *   p0/p1 are only written in AIvAI, ai otherwise (not at all in HvH), playouts only
+ *   when one of those is MCTS;
+ *   record = record.js record of the game, only needed for boards of more than 26 pits.
+ */
+export function gameToHash(game) {
+  const p = [["v", SHARE_VERSION], ["mode", game.mode]];
+  const ais = (game.mode === "AIvAI") ? [["p0", game.p0], ["p1", game.p1]]
+            : (game.mode === "HvH") ? []
+            : [["ai", game.ai]];
+  for (const [key, ai] of ais) p.push([key, aiToString(ai)]);
+  if (ais.some(([, ai]) => ai.engine === "mcts")) p.push(["playouts", game.playouts]);
+
+  if (game.rules.pitsPerSide > 26) {
+    p.push(["record", recordToText(game.record)]);
+  } else {
+    const r = rulesToString(game.rules).slice(1, -1);
+    if (r) p.push(["rules", r]);
+    if (game.openingSeed !== null) p.push(["seed", game.openingSeed]);
+    if (game.start) p.push(["start", positionToString(game.start)]);
+    const moves = treeToString(game.tree);
+    if (moves) p.push(["moves", moves]);
+  }
+  return `#${p.map(([key, v]) => `${key}=${encodeParam(String(v))}`).join("&")}`;
+}
+
+/**
+ * Inverse of gameToHash. Returns { ok: false, error } or { ok: true, ...settings, game },
+ * where settings are the ones present in the hash (mode, ai, p0, p1, playouts) and
+ * game = { record } (text to parse with record.js) or { rules, openingSeed, start, tree }
+ * (tree with swap nodes' mover null, as from parseMoveString). A hash without "v"
+ * is no game link: { ok: true, game: null }.
+ */
+export function parseHash(hash) {
+  const p = new URLSearchParams((hash || "").replace(/^#/, ""));
+  if (!p.has("v")) return { ok: true, game: null };
+  const v = parseInt(p.get("v"), 10);
+  if (!(v >= 1)) return { ok: false, error: "Bad link version" };
+  if (v > SHARE_VERSION) return { ok: false, error: `Link version ${v} is newer than this page supports` };
+
+  const out = { ok: true };
+  if (p.has("mode")) {
+    if (!MODES.includes(p.get("mode"))) return { ok: false, error: `Unknown mode '${p.get("mode")}'` };
+    out.mode = p.get("mode");
+  }
+  for (const key of ["ai", "p0", "p1"]) {
+    if (!p.has(key)) continue;
+    const ai = parseAi(p.get(key));
+    if (!ai) return { ok: false, error: `Bad AI settings '${p.get(key)}'` };
+    out[key] = ai;
+  }
+  if (p.has("playouts")) {
+    const n = parseInt(p.get("playouts"), 10);
+    if (!(n > 0)) return { ok: false, error: "Bad playouts" };
+    out.playouts = n;
+  }
+
+  if (p.has("record")) {
+    out.game = { record: p.get("record") };
+    return out;
+  }
+
+  const r = parseRulesString(p.get("rules") || "");
+  if (!r.ok) return r;
+  const rules = r.rules;
+  if (rules.pitsPerSide > 26) return { ok: false, error: "Links for more than 26 pits per side need a record" };
+
+  let openingSeed = null;
+  if (p.has("seed")) {
+    if (!/^\d+$/.test(p.get("seed"))) return { ok: false, error: "Bad opening seed" };
+    openingSeed = parseInt(p.get("seed"), 10);
+  }
+  let start = null;
+  if (p.has("start")) {
+    const pos = parsePositionString(p.get("start"), rules);
+    if (!pos.ok) return pos;
+    if (pos.rules !== rules) return { ok: false, error: "The start position must not name rules" };
+    start = pos.state;
+  } else if (rules.randomOpening && openingSeed === null) {
+    return { ok: false, error: "Missing opening seed for a random-opening game" };
+  }
+
+  const parsed = parseMoveString(p.get("moves") || "");
+  if (!parsed.ok) return parsed;
+  out.game = { rules, openingSeed, start, tree: parsed.tree };
+  return out;
+}
@@ -0,0 +1,42 @@
+// stats.js
+// stats.html: the aggregate statistics of logged games (GET /stats of worker.js).
+
+import { STATS_URL } from "./gamelog.js";
+
+const elStatus = document.getElementById("statsStatus");
+const elBuckets = document.getElementById("statsBuckets");
+const elOpenings = document.getElementById("statsOpenings");
+
+function escapeHtml(s) {
+  return s.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+const pct = x => (x === null) ? "–" : `${Math.round(x * 100)}%`;
+const num = x => (x === null) ? "–" : x.toFixed(1);
+
+function render(stats) {
+  elStatus.textContent = `${stats.games} game${stats.games === 1 ? "" : "s"} logged.`;
+
+  elBuckets.innerHTML = stats.buckets.map(b => `<tr>
+    <td>${escapeHtml(b.mode)}</td><td>${b.depth === null ? "" : escapeHtml(b.depth)}</td>
+    <td>${b.games}</td>
+    <td>${pct(b.winRate)}</td><td>${pct(b.drawRate)}</td><td>${pct(b.lossRate)}</td>
+    <td>${num(b.avgPlies)}</td><td>${num(b.avgStoreDiff)}</td>
+  </tr>`).join("") || `<tr><td colspan="8" class="small">No games yet.</td></tr>`;
+
+  elOpenings.innerHTML = stats.openings.map(o => `<tr>
+    <td class="moves">${escapeHtml(o.moves)}</td><td>${o.games}</td>
+  </tr>`).join("") || `<tr><td colspan="2" class="small">No games yet.</td></tr>`;
+}
+
+async function load() {
+  try {
+    const res = await fetch(STATS_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    render(await res.json());
+  } catch (e) {
+    elStatus.textContent = `Could not load the statistics (${e.message || e}).`;
+  }
+}
+
+load();
@@ -0,0 +1,93 @@
+// tt.js
+// Zobrist hashing + transposition table for the alpha-beta search in ai.js.
+//
+// A position is hashed from pits, stores, toMove, the Oware loop counter and the
+// pie-rule side.
+// Keys are drawn lazily from a fixed-seed PRNG as new seed counts show up.
+
+export const Bound = Object.freeze({
+  EXACT: 0,
+  LOWER: 1,   // value is a lower bound (search failed high)
+  UPPER: 2,   // value is an upper bound (search failed low)
+});
+
+// mulberry32: small deterministic 32-bit PRNG
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+}
+
+const rand = mulberry32(0x6b616c61);
+
+// keys[slot][seeds] = [hi, lo]; slots grow on demand as bigger counts show up
+const pitKeys = [];
+const storeKeys = [];
+const loopKeys = [];
+const toMoveKey = [rand(), rand()];
+const pieKeys = [[rand(), rand()], [rand(), rand()]];
+
+function keyFor(table, slot, count) {
+  let row = table[slot];
+  if (!row) row = table[slot] = [];
+  while (row.length <= count) row.push([rand(), rand()]);
+  return row[count];
+}
+
+/**
+ * Hash a state to a 53-bit integer (safe as a Map key).
+ */
+export function hashState(st) {
+  const n = st.pits[0].length;
+  let hi = 0, lo = 0;
+
+  for (let side = 0; side < 2; side++) {
+    for (let i = 0; i < n; i++) {
+      const k = keyFor(pitKeys, side * n + i, st.pits[side][i]);
+      hi ^= k[0];
+      lo ^= k[1];
+    }
+    const k = keyFor(storeKeys, side, st.store[side]);
+    hi ^= k[0];
+    lo ^= k[1];
+  }
+  if (st.sinceCapture) {
+    const k = keyFor(loopKeys, 0, st.sinceCapture);
+    hi ^= k[0];
+    lo ^= k[1];
+  }
+  if (st.pieSide === 0 || st.pieSide === 1) {
+    hi ^= pieKeys[st.pieSide][0];
+    lo ^= pieKeys[st.pieSide][1];
+  }
+  if (st.toMove === 1) {
+    hi ^= toMoveKey[0];
+    lo ^= toMoveKey[1];
+  }
+
+  return (hi >>> 11) * 4294967296 + (lo >>> 0);
+}
+
+/**
+ * Transposition table. Entries: { depth, value, bound, move }.
+ * When full it is simply cleared; a search only lives for one bestMove/scoreMoves call.
+ */
+export function makeTT(maxEntries = 1 << 18) {
+  return { map: new Map(), maxEntries };
+}
+
+export function ttProbe(tt, key) {
+  return tt.map.get(key);
+}
+
+export function ttStore(tt, key, depth, value, bound, move) {
+  const old = tt.map.get(key);
+  if (old && old.depth > depth) return; // depth-preferred replacement
+  if (!old && tt.map.size >= tt.maxEntries) tt.map.clear();
+  tt.map.set(key, { depth, value, bound, move });
+}
@@ -1,5 +1,22 @@
-import { makeRules, initStandard, getValidMoves, playMove } from "./engine.js";
-import { bestMove } from "./ai.js";
+import {
+  makeRules, RuleSet, CaptureRule, initStandard, initFromArrays, checkPosition, getValidMoves, playMove, isTerminal,
+  winnerOf, SWAP_MOVE,
+} from "./engine.js";
+import { EvalPresets } from "./ai.js";
+import { makeSearchClient } from "./search-client.js";
+import {
+  letterForMove, moveToken, movesToString, parseMoveString, rulesToString, treeToString, positionToString,
+  parsePositionString, GLYPHS,
+} from "./notation.js";
+import { makeRecord, resultString, recordToText, recordToJSON, parseRecord } from "./record.js";
+import { gameToHash, parseHash } from "./share.js";
+import { submitGame, flushQueue, pendingCount } from "./gamelog.js";
+import { createRoom, joinRoom, fetchRoom, sendMove, saveSeat, loadSeat, clearSeat } from "./online.js";
+import { accuracySummary } from "./annotate.js";
+import {
+  makeTree, addChild, lineTo, pathTo, mainLineEnd, branchStart, promote, removeBranch, isOnLine, plyOf,
+} from "./gametree.js";
+import { deserializeEndgameTable, endgameMatches, probeEndgame } from "./endgame.js";
 
 // ---------- Mode ----------
 const Mode = Object.freeze({
@@ -19,53 +36,185 @@ function nextMode(m) {
 // ---------- DOM ----------
 const canvas = document.getElementById("board");
 const ctx = canvas.getContext("2d");
+const graphCanvas = document.getElementById("evalGraph");
+const gctx = graphCanvas.getContext("2d");
 
 const elNew = document.getElementById("newGame");
 const elMode = document.getElementById("modeBtn");
 const elUndoMove = document.getElementById("undoMove");
 const elUndoTurn = document.getElementById("undoTurn");
+const elNavFirst = document.getElementById("navFirst");
+const elNavBack = document.getElementById("navBack");
+const elNavForward = document.getElementById("navForward");
+const elNavLast = document.getElementById("navLast");
+const elResume = document.getElementById("resumeHere");
+const elPromoteLine = document.getElementById("promoteLine");
+const elDeleteLine = document.getElementById("deleteLine");
+const elSwap = document.getElementById("swapBtn");
 const elMoves = document.getElementById("moves");
 const elStatus = document.getElementById("status");
 
 const elAnimDelay = document.getElementById("animDelay");
 
+const elEngine = document.getElementById("engine");
 const elDepth = document.getElementById("depth");
+const elDepthKind = document.getElementById("depthKind");
+const elMctsPlayouts = document.getElementById("mctsPlayouts");
+const elEvalPreset = document.getElementById("evalPreset");
 const elAiMove = document.getElementById("aiMove");
+const elEngineInfo = document.getElementById("engineInfo");
 const elStepAi = document.getElementById("stepAi");
 
 const elDepthP0 = document.getElementById("depthP0");
 const elDepthP1 = document.getElementById("depthP1");
+const elDepthKindP0 = document.getElementById("depthKindP0");
+const elDepthKindP1 = document.getElementById("depthKindP1");
+const elEngineP0 = document.getElementById("engineP0");
+const elEngineP1 = document.getElementById("engineP1");
+const elEvalP0 = document.getElementById("evalP0");
+const elEvalP1 = document.getElementById("evalP1");
 const elAutoAi = document.getElementById("autoAi");
 const elAutoDelay = document.getElementById("autoDelay");
 
+const elAnalysisOn = document.getElementById("analysisOn");
+const elAnalysisDepth = document.getElementById("analysisDepth");
+const elAnalysisStatus = document.getElementById("analysisStatus");
+const elAnalyzeGame = document.getElementById("analyzeGame");
+const elAnnotateStatus = document.getElementById("annotateStatus");
+
+const elLogOn = document.getElementById("logOn");
+const elLogStatus = document.getElementById("logStatus");
+
+const elRoomCreate = document.getElementById("roomCreate");
+const elRoomCode = document.getElementById("roomCode");
+const elRoomJoin = document.getElementById("roomJoin");
+const elRoomLeave = document.getElementById("roomLeave");
+const elRoomStatus = document.getElementById("roomStatus");
+
+const elEgSeeds = document.getElementById("egSeeds");
+const elEgBuild = document.getElementById("egBuild");
+const elEgStatus = document.getElementById("egStatus");
+
 const elHelpBtn = document.getElementById("helpBtn");
 const elHelpModal = document.getElementById("helpModal");
 const elHelpClose = document.getElementById("helpClose");
+const elHelpTitle = document.getElementById("helpTitle");
+const elHelpRules = document.getElementById("helpRules");
+const elHelpNotation = document.getElementById("helpNotation");
+
+const elRulesBtn = document.getElementById("rulesBtn");
+const elRulesModal = document.getElementById("rulesModal");
+const elRulesClose = document.getElementById("rulesClose");
+const elRulesApply = document.getElementById("rulesApply");
+const elRulesError = document.getElementById("rulesError");
+const elRuleSet = document.getElementById("ruleSet");
+const elRulePits = document.getElementById("rulePits");
+const elRuleSeeds = document.getElementById("ruleSeeds");
+const elRuleExtra = document.getElementById("ruleExtra");
+const elRuleSweep = document.getElementById("ruleSweep");
+const elRuleCapture = document.getElementById("ruleCapture");
+const elRuleEmpty = document.getElementById("ruleEmpty");
+const elRuleLoop = document.getElementById("ruleLoop");
+const elRulePie = document.getElementById("rulePie");
+const elRuleRandom = document.getElementById("ruleRandom");
+const elRuleMisere = document.getElementById("ruleMisere");
 
 let hoverPit = null; // { side, idx } or null
 
 const elLoadMoves = document.getElementById("loadMoves");
 const elCopyMoves = document.getElementById("copyMoves");
+const elShare = document.getElementById("shareLink");
+
+const elRecordBtn = document.getElementById("recordBtn");
+const elRecordModal = document.getElementById("recordModal");
+const elRecordClose = document.getElementById("recordClose");
+const elRecordFormat = document.getElementById("recordFormat");
+const elRecordText = document.getElementById("recordText");
+const elRecordImport = document.getElementById("recordImport");
+const elRecordCopy = document.getElementById("recordCopy");
+const elRecordError = document.getElementById("recordError");
+
+const elEditPos = document.getElementById("editPos");
+const elEditBar = document.getElementById("editBar");
+const elEditToMove = document.getElementById("editToMove");
+const elEditClear = document.getElementById("editClear");
+const elEditStandard = document.getElementById("editStandard");
+const elEditString = document.getElementById("editString");
+const elEditSetString = document.getElementById("editSetString");
+const elEditCopyString = document.getElementById("editCopyString");
+const elEditDone = document.getElementById("editDone");
+const elEditCancel = document.getElementById("editCancel");
+const elEditInfo = document.getElementById("editInfo");
 
 // ---------- Game state ----------
-const rules = makeRules({ pitsPerSide: 6, seedsPerPit: 4 });
+let rules = makeRules({ pitsPerSide: 6, seedsPerPit: 4 }); // replaced by the Rules dialog
 let mode = Mode.HvAI;
 
+let openingSeed = null;                  // deal of a randomOpening game (null otherwise)
+let startPosition = null;                // set-up start position (null = the standard one)
+let recordHeaders = null;                // mode/players/date/extra of an imported record (re-exported as they were)
+let loggedKey = null;                    // game last uploaded (undoing and replaying its last move does not resend it)
 let state = initStandard(rules, 0);      // authoritative
 let vis = structuredClone(state);        // visual (during animation)
+let edit = null;                         // position editor: { state } being set up (board clicks edit it)
 let anim = null;                         // animation state
+// seat in an online room (online.js): { code, token, side, room (last roomView),
+// plies (moves the server has confirmed), polling / sending (request in flight), error }
+let online = null;
+
+// game tree with every line played (see gametree.js); cursor = node of the current position
+let tree = makeTree();
+let cursor = tree;
 
-// move history for display + undo (store moves and replay)
+// moves of the current line (root .. cursor), for display + undo (store moves and replay)
 let moves = []; // entries: { mover, pitIndex }  mover=0|1
 
 // auto-play timer for AIvAI
 let nextAutoTime = 0;
 
-// ---------- Helpers ----------
-function letterForMove(mover, pitIndex) {
-  return String.fromCharCode((mover === 0 ? "a".charCodeAt(0) : "A".charCodeAt(0)) + pitIndex);
-}
+// depth reached by the last AI search (interesting for time-limited searches)
+let lastAiDepth = null;
+
+// AI search runs in a worker; while it is in flight, thinking = { progress } (last finished iteration)
+const aiClient = makeSearchClient();
+let thinking = null;
+// position whose search crashed the worker: not searched again on its own (AI Move /
+// Step retry it)
+let aiFailedOn = null;
+
+// latest search readout for the engine info panel: progress or result record + { side, engine }
+let engineInfo = null;
+
+// move-score overlay: its own worker, so analysis never holds up the AI.
+// analysis = { state, depth, scores } for the last finished run; analysisPending = { state, depth }
+const anClient = makeSearchClient();
+let analysis = null;
+let analysisPending = null;
+
+// "Analyze game": labels the moves of the current line (node.note, see annotate.js)
+// on its own worker; annotating = { done, total } while it runs
+const annClient = makeSearchClient();
+let annotating = null;
+
+// evaluation graph, filled in position by position by its own worker:
+// graph.values[i] = evaluateForP0 after i plies, graph.stores[i] = stores after i plies,
+// graph.total = seeds in the game. graph.key is the rules + opening the values belong to,
+// graph.line the moves (pit indexes).
+const GRAPH_DEPTH = 6;
+const graphClient = makeSearchClient();
+let graph = { key: null, line: [], values: [], stores: [], total: 0 };
+let graphPending = null; // move string being evaluated
+
+// tree node picked in the moves panel, on the graph or with the arrows: its position is
+// shown instead of the live one (null = live, i.e. the cursor)
+let viewNode = null;
+let viewState = null;
+
+// endgame table: built/loaded by its own worker so the AI worker stays free
+const egClient = makeSearchClient();
+let endgame = null;
 
+// ---------- Helpers ----------
 function turnsStarted() {
   return Math.floor((moves.length + 1) / 2);
 }
@@ -81,44 +230,105 @@ function aiSide() {
 }
 
 function isHumansTurn() {
+  if (online) return isMyRoomTurn();
   if (mode === Mode.HvH) return true;
   if (mode === Mode.AIvAI) return false;
   return state.toMove !== aiSide();
 }
 
-function currentAiDepth() {
-  if (mode !== Mode.AIvAI) return parseInt(elDepth.value, 10) || 6;
-  return (state.toMove === 0)
-    ? (parseInt(elDepthP0.value, 10) || 6)
-    : (parseInt(elDepthP1.value, 10) || 6);
+// AI controls: { engine, input, kind, evalPreset } (selects + limit input) of the single
+// AI and of P0/P1 in AIvAI
+const aiMain = { engine: elEngine, input: elDepth, kind: elDepthKind, evalPreset: elEvalPreset };
+const aiP0 = { engine: elEngineP0, input: elDepthP0, kind: elDepthKindP0, evalPreset: elEvalP0 };
+const aiP1 = { engine: elEngineP1, input: elDepthP1, kind: elDepthKindP1, evalPreset: elEvalP1 };
+
+// AI controls playing a side
+function aiControls(side) {
+  if (mode !== Mode.AIvAI) return aiMain;
+  return (side === 0) ? aiP0 : aiP1;
+}
+
+// AI search limit for the side to move: { depth } | { playouts } | { timeMs }
+function currentAiLimit() {
+  const c = aiControls(state.toMove);
+  if (c.kind.value === "sec") {
+    return { timeMs: Math.max(0.05, parseFloat(c.input.value) || 1) * 1000 };
+  }
+  if (c.engine.value === "mcts") return { playouts: parseInt(elMctsPlayouts.value, 10) || 5000 };
+  return { depth: parseInt(c.input.value, 10) || 6 };
+}
+
+function aiLabel(c) {
+  const mcts = c.engine.value === "mcts";
+  const limit = (c.kind.value === "sec") ? `${c.input.value}s`
+              : mcts ? `${elMctsPlayouts.value} playouts`
+              : `d=${c.input.value}`;
+  if (mcts) return `MCTS ${limit}`;
+  return (c.evalPreset.value === "default") ? limit : `${limit} ${c.evalPreset.value}`;
+}
+
+// Drop any AI search in flight; its answer would be for a position we no longer have.
+function cancelAi() {
+  aiClient.cancel();
+  thinking = null;
+}
+
+// Position before the first move
+function startState() {
+  return startPosition ? structuredClone(startPosition) : initStandard(rules, 0, openingSeed ?? 0);
 }
 
 function resetGame() {
-  state = initStandard(rules, 0);
+  cancelAi();
+  cancelAnnotate();
+  openingSeed = rules.randomOpening ? Math.floor(Math.random() * 1e6) : null;
+  startPosition = null;
+  recordHeaders = null;
+  edit = null;
+  loggedKey = null;
+  state = startState();
   vis = structuredClone(state);
   anim = null;
+  tree = makeTree();
+  cursor = tree;
   moves = [];
   nextAutoTime = performance.now();
+  lastAiDepth = null;
+  engineInfo = null;
+  viewNode = null;
   renderAll();
 }
 
-function replayFromStart() {
-  // rebuild state by replaying moves with engine (no animation)
-  let st = initStandard(rules, 0);
+// Every position of the game so far: [start, after ply 1, after ply 2, ...]
+function gamePositions() {
+  const out = [startState()];
   for (const m of moves) {
-    const res = playMove(st, rules, m.pitIndex);
+    const res = playMove(out[out.length - 1], rules, m.pitIndex);
     if (!res.ok) break;
-    st = res.state;
+    out.push(res.state);
   }
-  state = st;
+  return out;
+}
+
+function replayFromStart() {
+  // rebuild state by replaying moves with engine (no animation)
+  state = gamePositions().at(-1);
   vis = structuredClone(state);
   anim = null;
+  viewNode = null;
+}
+
+// Step back one ply; the undone move stays in the tree.
+function popMove() {
+  moves.pop();
+  cursor = cursor.parent;
 }
 
 function undoOne() {
   if (anim) return;
   if (moves.length === 0) return;
-  moves.pop();
+  cancelAi();
+  popMove();
   replayFromStart();
   renderAll();
 }
@@ -128,12 +338,13 @@ function undoToHumanTurn() {
   if (!isAiGame()) { undoOne(); return; }
 
   if (moves.length === 0) return;
-  moves.pop(); // undo at least one
+  cancelAi();
+  popMove(); // undo at least one
   replayFromStart();
 
   // keep undoing while it's AI's turn
   while (moves.length > 0 && state.toMove === aiSide()) {
-    moves.pop();
+    popMove();
     replayFromStart();
   }
   renderAll();
@@ -159,12 +370,14 @@ function startAnimationForMove(pitIndex) {
     lastDrop: null,
   };
 
-  // visual starts as startState but with chosen pit emptied
+  // visual starts as startState but with chosen pit emptied (a swap has nothing to sow)
   vis = structuredClone(state);
-  vis.pits[mover][pitIndex] = 0;
+  if (pitIndex !== SWAP_MOVE) vis.pits[mover][pitIndex] = 0;
 
-  // record move for history (authoritative will commit at end of animation)
+  // record move for history (authoritative will commit at end of animation);
+  // a move that differs from the one played here before starts a new branch
   moves.push({ mover, pitIndex });
+  cursor = addChild(cursor, mover, pitIndex);
 
   return true;
 }
@@ -195,16 +408,42 @@ function tickAnimation(now) {
   vis = structuredClone(state);
   anim = null;
   renderAll();
+  if (state.terminal) logFinishedGame();
 }
 
 function doAiMove() {
-  if (anim) return;
+  if (anim || thinking) return;
   if (state.terminal) return;
 
-  const depth = currentAiDepth();
-  const r = bestMove(state, rules, depth);
-  if (!r.hasMove) return;
-  startAnimationForMove(r.move);
+  const c = aiControls(state.toMove);
+  thinking = { progress: "" };
+  const job = {
+    type: "search",
+    engine: c.engine.value,
+    state,
+    rules,
+    limit: currentAiLimit(),
+    weights: c.evalPreset.value,
+  };
+  const side = state.toMove;
+  aiClient.run(job, (p) => {
+    thinking = { progress: (p.playouts !== undefined) ? `${p.playouts} playouts` : `d=${p.depth}` };
+    engineInfo = { ...p, side, engine: job.engine, done: false };
+    renderStatus();
+    renderEngineInfo();
+  }).then((r) => {
+    if (r === null) return; // cancelled
+    thinking = null;
+    if (r.failed) {
+      aiFailedOn = job.state;
+      engineInfo = { side, engine: job.engine, error: r.error };
+    } else if (r.hasMove) {
+      lastAiDepth = r.depth;
+      engineInfo = { ...r, side, engine: job.engine, done: true };
+      startAnimationForMove(r.move);
+    }
+    renderAll();
+  });
   renderAll();
 }
 
@@ -212,27 +451,274 @@ function updateTerminalFlag() {
   // engine’s playMove sets terminal boolean on result; for init, compute simply:
   // We'll just attach a terminal field here for convenience.
   const anyMoves = getValidMoves(state, rules).length > 0;
-  state.terminal = !anyMoves; // in standard Kalah, no moves implies terminal
+  state.terminal = !anyMoves || isTerminal(state, rules); // (Oware can end with moves left)
   vis.terminal = state.terminal;
 }
 
-function movesToString(movesArr) {
-  return movesArr.map(m => letterForMove(m.mover, m.pitIndex)).join("");
+// Position on the board: the viewed one, or the live one
+function shownState() {
+  return (viewNode !== null) ? viewState : state;
 }
 
-function parseMoveString(s) {
-  const out = [];
-  for (const ch of (s || "").trim()) {
-    if (ch >= "a" && ch <= "z") {
-      out.push({ side: 0, pitIndex: ch.charCodeAt(0) - 97 });
-    } else if (ch >= "A" && ch <= "Z") {
-      out.push({ side: 1, pitIndex: ch.charCodeAt(0) - 65 });
-    } else {
-      // ignore whitespace, but reject other chars
-      if (!/\s/.test(ch)) return { ok: false, error: `Invalid character: '${ch}'` };
+// Start scoring the shown position if the overlay is on and it is not scored yet.
+// Cheap when nothing changed, so renderAll calls it every time.
+function refreshAnalysis() {
+  const state = shownState();
+  if (!elAnalysisOn.checked || anim || state.terminal) {
+    if (analysisPending) {
+      anClient.cancel();
+      analysisPending = null;
     }
+    return;
+  }
+  const depth = parseInt(elAnalysisDepth.value, 10) || 8;
+  if (analysisPending && analysisPending.state === state && analysisPending.depth === depth) return;
+  if (analysis && analysis.state === state && analysis.depth === depth) return;
+
+  const job = { state, depth };
+  analysisPending = job;
+  anClient.run({ type: "analyze", state, rules, depth }).then((r) => {
+    if (r === null) return; // cancelled (a newer position or depth took over)
+    analysisPending = null;
+    // a failed run is kept too, so it is not started over on every render
+    analysis = { ...job, scores: r.failed ? [] : r.scores, error: r.failed ? r.error : null };
+    renderAll();
+  });
+}
+
+// Scores for the position on the board, or null (overlay off, stale or animating)
+function currentScores() {
+  if (!elAnalysisOn.checked || anim || !analysis || analysis.state !== shownState()) return null;
+  return analysis.scores;
+}
+
+function formatScore(v) {
+  return (v > 0 ? "+" : "") + (Number.isInteger(v) ? String(v) : v.toFixed(1));
+}
+
+function renderAnalysisStatus() {
+  const scores = currentScores();
+  if (!elAnalysisOn.checked) {
+    elAnalysisStatus.textContent = "";
+  } else if (analysisPending) {
+    elAnalysisStatus.textContent = `Analysing (d=${analysisPending.depth})…`;
+  } else if (scores && analysis.error) {
+    elAnalysisStatus.textContent = `Analysis failed: ${analysis.error}`;
+  } else if (scores && scores.length) {
+    const best = scores[0];
+    const swap = scores.find(x => x.move === SWAP_MOVE);
+    elAnalysisStatus.textContent =
+      `d=${analysis.depth}: best ${moveToken(shownState().toMove, best.move, rules)} (${formatScore(best.score)})` +
+      (swap && swap !== best ? ` | swap ${formatScore(swap.score - best.score)}` : "");
+  } else {
+    elAnalysisStatus.textContent = "";
+  }
+}
+
+// Evaluate the plies the graph does not have yet. Values of the common opening of the
+// old and new move lists are kept, so a new move (or an undo) costs one position at most.
+function refreshGraph() {
+  if (anim) return;
+  const key = movesToString([], openingSeed, rules) + (startPosition ? positionToString(startPosition) : "");
+  const line = moves.map(m => m.pitIndex);
+  const lineKey = movesToString(moves, openingSeed, rules);
+  const same = graph.key === key && line.length === graph.line.length && line.every((m, i) => m === graph.line[i]);
+  if (same && (graphPending === lineKey || graph.values.length === line.length + 1)) return;
+
+  let keep = 0;
+  if (graph.key === key) {
+    while (keep < line.length && keep < graph.line.length && line[keep] === graph.line[keep]) keep++;
+    keep = Math.min(keep + 1, graph.values.length);
+  }
+  const positions = gamePositions();
+  const first = positions[0];
+  graph = {
+    key,
+    line,
+    values: graph.values.slice(0, keep),
+    stores: positions.map(p => p.store),
+    total: first.store[0] + first.store[1] + [...first.pits[0], ...first.pits[1]].reduce((a, b) => a + b, 0),
+  };
+  if (keep >= positions.length) {
+    if (graphPending) graphClient.cancel();
+    graphPending = null;
+    return;
+  }
+
+  graphPending = lineKey;
+  const job = { type: "evalGraph", states: positions.slice(keep), firstPly: keep, rules, depth: GRAPH_DEPTH };
+  graphClient.run(job, (p) => {
+    graph.values[p.ply] = p.value;
+    drawGraph();
+  }).then((r) => {
+    if (r === null) return; // cancelled: the game moved on
+    graphPending = null;
+    drawGraph();
+  });
+}
+
+// ---------- Game annotation ----------
+function cancelAnnotate() {
+  annClient.cancel();
+  annotating = null;
+}
+
+// Label every move of the current line (root .. cursor) with the analysis depth
+function analyzeGame() {
+  if (anim || annotating || moves.length === 0) return;
+  const nodes = pathTo(cursor);
+  const positions = gamePositions();
+  const depth = parseInt(elAnalysisDepth.value, 10) || 8;
+  annotating = { done: 0, total: nodes.length };
+
+  const job = { type: "annotate", states: positions.slice(0, -1), moves: nodes.map(n => n.pitIndex), rules, depth };
+  annClient.run(job, (p) => {
+    nodes[p.ply].note = p.note;
+    annotating = { done: p.ply + 1, total: nodes.length };
+    renderMoves();
+    renderAnnotateStatus();
+  }).then((r) => {
+    if (r === null) return; // cancelled
+    annotating = null;
+    if (r.failed) alert(`Game analysis failed: ${r.error}`);
+    renderAll();
+  });
+  renderAll();
+}
+
+elAnalyzeGame.onclick = () => analyzeGame();
+
+function renderAnnotateStatus() {
+  if (annotating) {
+    elAnnotateStatus.textContent = `Analyzing move ${annotating.done + 1} of ${annotating.total}…`;
+    return;
+  }
+  const notes = pathTo(cursor).filter(n => n.note).map(n => ({ mover: n.mover, note: n.note }));
+  if (notes.length === 0) {
+    elAnnotateStatus.textContent = "";
+    return;
+  }
+  const count = (k, one, many) => `${k} ${k === 1 ? one : many}`;
+  elAnnotateStatus.textContent = accuracySummary(notes).map((p, side) => {
+    if (p.moves === 0) return `P${side}: no moves`;
+    return `P${side}: ${p.accuracy.toFixed(0)}% accuracy, avg loss ${p.avgLoss.toFixed(1)} | ` +
+      `${count(p.blunder, "blunder", "blunders")}, ${count(p.mistake, "mistake", "mistakes")}, ` +
+      count(p.inaccuracy, "inaccuracy", "inaccuracies");
+  }).join("\n");
+}
+
+// ---------- Navigation ----------
+// Show the position at node (anywhere in the tree); the cursor's own position means live.
+function showNode(node) {
+  if (anim) return;
+  if (node === cursor) {
+    viewNode = null;
+  } else {
+    viewNode = node;
+    viewState = startState();
+    for (const m of lineTo(node)) viewState = playMove(viewState, rules, m.pitIndex).state;
   }
-  return { ok: true, moves: out };
+  renderAll();
+}
+
+function shownNode() {
+  return (viewNode !== null) ? viewNode : cursor;
+}
+
+// forward/last follow the current line up to the cursor, and children[0] past it
+// (or anywhere off the current line)
+function navBack() {
+  const n = shownNode();
+  if (n.parent) showNode(n.parent);
+}
+
+function navForward() {
+  const n = shownNode();
+  if (n !== cursor && isOnLine(n, cursor)) showNode(lineNodeAfter(n));
+  else if (n.children.length > 0) showNode(n.children[0]);
+}
+
+function navLast() {
+  const n = shownNode();
+  showNode((n !== cursor && isOnLine(n, cursor)) ? cursor : mainLineEnd(n));
+}
+
+// child of n on the way to the cursor (n is an ancestor of the cursor)
+function lineNodeAfter(n) {
+  let c = cursor;
+  while (c.parent !== n) c = c.parent;
+  return c;
+}
+
+// Make the shown position the live one: the game goes on from there in the current mode
+function resumeHere() {
+  if (anim || viewNode === null) return;
+  cancelAi();
+  cursor = viewNode;
+  moves = lineTo(cursor);
+  replayFromStart();
+  nextAutoTime = performance.now();
+  renderAll();
+}
+
+function showPly(ply) {
+  let n = cursor;
+  for (let p = moves.length; p > ply; p--) n = n.parent;
+  showNode(n);
+}
+
+// "solved: P0 wins by 3" once the position is in the endgame table
+function solvedText() {
+  if (!endgame || !endgameMatches(endgame, rules)) return "";
+  const v = probeEndgame(endgame, state);
+  if (v === null) return "";
+  // final stores under best play: the mover gets (seeds in play + v) / 2 of the rest
+  const inPlay = [...state.pits[0], ...state.pits[1]].reduce((a, b) => a + b, 0);
+  const gain = [0, 0];
+  gain[state.toMove] = (inPlay + v) / 2;
+  gain[1 - state.toMove] = (inPlay - v) / 2;
+  const final = { store: [state.store[0] + gain[0], state.store[1] + gain[1]] };
+  const w = winnerOf(final, rules);
+  if (w === -1) return " | solved: draw";
+  return ` | solved: P${w} wins by ${Math.abs(final.store[0] - final.store[1])}`;
+}
+
+function loadEndgame(loadOnly) {
+  const maxSeeds = parseInt(elEgSeeds.value, 10) || 10;
+  elEgBuild.disabled = true;
+  if (!loadOnly) elEgStatus.textContent = "Building…";
+
+  egClient.run({ type: "buildEndgame", rules, maxSeeds, loadOnly }, (p) => {
+    elEgStatus.textContent = `Building… ${Math.floor(100 * p.done / p.total)}%`;
+  }).then((r) => {
+    elEgBuild.disabled = false;
+    if (r === null) return;
+    if (!r.ok) {
+      if (!loadOnly) elEgStatus.textContent = `Build failed: ${r.error}`;
+      return;
+    }
+    endgame = deserializeEndgameTable(r.bytes);
+    aiClient.setEndgame(r.bytes);
+    anClient.setEndgame(r.bytes);
+    analysis = null; // rescore with the table
+    elEgStatus.textContent = `Table loaded: ≤${endgame.maxSeeds} seeds in play (${r.bytes.length} bytes).`;
+    renderAll();
+  });
+}
+
+elEgBuild.onclick = () => loadEndgame(false);
+
+// Switch to new rules. The caller starts the new game (resetGame or a loaded move string).
+function setRules(newRules) {
+  cancelAi();
+  rules = newRules;
+  // a table for the old rules is useless now; pick up a saved one for the new rules
+  endgame = null;
+  aiClient.setEndgame(null);
+  anClient.setEndgame(null);
+  elEgStatus.textContent = "No table loaded.";
+  loadEndgame(true);
+  renderHelp();
 }
 
 function loadMovesFromString(s) {
@@ -241,38 +727,74 @@ function loadMovesFromString(s) {
   const parsed = parseMoveString(s);
   if (!parsed.ok) return parsed;
 
-  // reset everything
-  state = initStandard(rules, 0);
-  vis = structuredClone(state);
-  anim = null;
-  moves = [];
+  if (parsed.rules.randomOpening && parsed.openingSeed === null) {
+    return { ok: false, error: "Missing opening seed (#n) for a random-opening game" };
+  }
+  return loadGame({ rules: parsed.rules, openingSeed: parsed.openingSeed, start: null, tree: parsed.tree, comment: "", headers: null });
+}
+
+/**
+ * Replace the current game with a parsed one: { rules, openingSeed, start, tree, comment, headers }
+ * (start = position or null; comment = on the whole game; headers = record headers to
+ * keep for export, or null).
+ * Every line is checked before anything changes. Returns { ok: true } or { ok: false, error }.
+ */
+function loadGame(game) {
+  const newRules = game.rules;
+  const seed = (newRules.randomOpening && !game.start) ? game.openingSeed : null;
+  const first = game.start ? structuredClone(game.start) : initStandard(newRules, 0, seed ?? 0);
+  const newTree = makeTree();
+  const error = copyCheckedTree(game.tree, newTree, first, newRules);
+  if (error) return { ok: false, error };
+
+  cancelAi();
+  cancelAnnotate();
+  if (rulesToString(newRules) !== rulesToString(rules)) setRules(newRules);
+
+  openingSeed = seed;
+  startPosition = game.start;
+  edit = null;
+  loggedKey = null;
+  recordHeaders = game.headers;
+  newTree.comment = game.comment || "";
+  tree = newTree;
+  cursor = mainLineEnd(tree);
+  moves = lineTo(cursor);
+  replayFromStart();
+  renderAll();
+  return { ok: true };
+}
 
-  for (const step of parsed.moves) {
-    // must match whose turn it is
-    if (state.toMove !== step.side) {
-      return { ok: false, error: `Turn mismatch at '${letterForMove(step.side, step.pitIndex)}' (expected P${state.toMove})` };
+/**
+ * Replay the parsed lines below src from st, adding them below dst with the real
+ * movers (a swap's side is only known here). Moves after the end of a game are
+ * ignored. Returns an error message, or null.
+ */
+function copyCheckedTree(src, dst, st, r) {
+  if (isTerminal(st, r)) return null;
+  for (const step of src.children) {
+    const side = step.mover;
+    // must match whose turn it is (a swap is always by the side to move)
+    if (side !== null && st.toMove !== side) {
+      return `Turn mismatch at '${moveToken(side, step.pitIndex, r)}' (expected P${st.toMove})`;
     }
     // must be valid index
-    if (step.pitIndex < 0 || step.pitIndex >= rules.pitsPerSide) {
-      return { ok: false, error: `Pit out of range in move '${letterForMove(step.side, step.pitIndex)}'` };
+    if (step.pitIndex !== SWAP_MOVE && (step.pitIndex < 0 || step.pitIndex >= r.pitsPerSide)) {
+      return `Pit out of range in move '${moveToken(side, step.pitIndex, r)}'`;
     }
 
-    const res = playMove(state, rules, step.pitIndex);
+    const res = playMove(st, r, step.pitIndex);
     if (!res.ok) {
-      return { ok: false, error: `Illegal move '${letterForMove(step.side, step.pitIndex)}'` };
+      return `Illegal move '${moveToken(side, step.pitIndex, r)}'`;
     }
 
-    // record history using same format as the rest of UI
-    moves.push({ mover: step.side, pitIndex: step.pitIndex });
-
-    state = res.state;
-    vis = structuredClone(state);
-
-    if (state.terminal) break;
+    const child = addChild(dst, res.mover, step.pitIndex);
+    if (step.note) child.note = { ...step.note };
+    if (step.comment) child.comment = step.comment;
+    const error = copyCheckedTree(step, child, res.state, r);
+    if (error) return error;
   }
-
-  renderAll();
-  return { ok: true };
+  return null;
 }
 
 async function copyTextToClipboard(text) {
@@ -297,7 +819,7 @@ async function copyTextToClipboard(text) {
 elLoadMoves.onclick = () => {
   if (anim) return;
 
-  const current = movesToString(moves);
+  const current = treeToString(tree, openingSeed, rules);
   const s = prompt("Paste a move string (e.g., cfBA...):", current);
   if (s == null) return; // cancelled
 
@@ -306,11 +828,16 @@ elLoadMoves.onclick = () => {
 };
 
 elCopyMoves.onclick = async () => {
-  const s = movesToString(moves);
+  // move strings start from the standard position and name pits by letter only
+  if (startPosition || rules.pitsPerSide > 26) {
+    alert("This game needs a game record to keep its start position or board size; use Record… instead.");
+    return;
+  }
+  const s = treeToString(tree, openingSeed, rules);
   try {
     await copyTextToClipboard(s);
     // optional quick feedback:
-    elStatus.textContent = `Copied moves (${s.length} plies) to clipboard.`;
+    elStatus.textContent = `Copied moves (${moves.length} plies) to clipboard.`;
   } catch (e) {
     alert("Clipboard copy failed.");
   }
@@ -334,9 +861,615 @@ elHelpModal.addEventListener("click", (e) => {
 
 // Esc closes
 window.addEventListener("keydown", (e) => {
-  if (e.key === "Escape" && elHelpModal.style.display === "block") closeHelp();
+  if (e.key !== "Escape") return;
+  if (elHelpModal.style.display === "block") closeHelp();
+  if (elRulesModal.style.display === "block") closeRules();
+  if (elRecordModal.style.display === "block") closeRecord();
+});
+
+// Help text for the active rules
+function renderHelp() {
+  const n = rules.pitsPerSide;
+  const s = rules.seedsPerPit;
+  const oware = rules.ruleSet === RuleSet.OWARE;
+  const items = [];
+
+  elHelpTitle.textContent = `${oware ? "Oware" : "Kalah"} (${n},${s}) — How to Play`;
+
+  const goal = rules.misere ? "fewer" : "more";
+  items.push(oware
+    ? `<b>Goal:</b> capture ${goal} seeds than your opponent.`
+    : `<b>Goal:</b> finish with ${goal} seeds in your store than your opponent.`);
+  items.push(`<b>Board:</b> each player has ${n} pit${n === 1 ? "" : "s"} and a store. ` +
+    (rules.randomOpening
+      ? `The ${2 * n * s} seeds are dealt at random, but both sides get the same layout.`
+      : `Every pit starts with ${s} seed${s === 1 ? "" : "s"}.`));
+
+  if (oware) {
+    items.push("<b>Move:</b> pick a non-empty pit on your side and sow its seeds one by one counterclockwise. " +
+      "Stores are never sown, and a lap of 12 or more seeds skips the pit it started from.");
+    items.push("<b>Capture:</b> if your last seed makes 2 or 3 in an opponent pit, you take them, " +
+      "along with any 2s and 3s in the opponent pits just before it. A capture that would take every opponent seed (grand slam) takes nothing.");
+    items.push("<b>Feeding:</b> when your opponent has no seeds you must make a move that gives them some.");
+    items.push(`<b>Game end:</b> once someone has captured more than half the seeds, when the player to move cannot move ` +
+      `(the other player then takes what is left), or after ${rules.loopLimit} plies without a capture ` +
+      "(each player then keeps the seeds on their side).");
+  } else {
+    items.push(rules.allowMoveFromEmpty
+      ? "<b>Move:</b> pick any pit on your side (an empty pit passes) and sow its seeds one by one counterclockwise."
+      : "<b>Move:</b> pick a non-empty pit on your side and sow its seeds one by one counterclockwise.");
+    items.push("<b>Stores:</b> you sow into your own store but skip your opponent’s store.");
+    if (rules.extraTurnOnStore) items.push("<b>Extra turn:</b> if your last seed lands in your store, you move again.");
+    if (rules.captureRule === CaptureRule.KALAH) {
+      items.push("<b>Capture:</b> if your last seed lands in an empty pit on your side and the opposite pit has seeds, " +
+        "both go to your store.");
+    }
+    items.push("<b>Game end:</b> when either side has no seeds in its pits. " +
+      (rules.sweepOnGameEnd
+        ? "Each player then adds the seeds left on their side to their store."
+        : "Seeds left in pits do not count."));
+  }
+  if (rules.pieRule) {
+    items.push("<b>Pie rule:</b> after P0’s first turn, P1 may swap sides (Swap button, <code>*</code> in notation) instead of moving.");
+  }
+
+  elHelpRules.innerHTML = items.map(t => `<li>${t}</li>`).join("");
+  elHelpNotation.innerHTML =
+    `<b>Move notation (for Load/Copy):</b> P0 pits are <code>a</code>..<code>${letterForMove(0, n - 1)}</code>, ` +
+    `P1 pits <code>A</code>..<code>${letterForMove(1, n - 1)}</code>, <code>*</code> is a pie swap. ` +
+    "Games not played under the default rules start with a rules block such as <code>[n=4 s=3 nocapture]</code>, " +
+    "and random openings with their seed, e.g. <code>#1234</code>. " +
+    "Variations go in parentheses right after the move they replace, e.g. <code>cf(dA)BA</code>. " +
+    "Analyze game marks moves <code>!</code> (best), <code>?!</code> (inaccuracy), <code>?</code> (mistake) " +
+    "or <code>??</code> (blunder), followed by the engine’s move and the seeds lost, e.g. <code>c?{f -2.5}</code>.";
+}
+
+// ---------- Rules dialog ----------
+function syncRulesForm() {
+  const oware = elRuleSet.value === RuleSet.OWARE;
+  for (const el of [elRuleExtra, elRuleSweep, elRuleCapture, elRuleEmpty]) el.disabled = oware;
+  elRuleLoop.disabled = !oware;
+}
+
+function openRules() {
+  elRuleSet.value = rules.ruleSet;
+  elRulePits.value = rules.pitsPerSide;
+  elRuleSeeds.value = rules.seedsPerPit;
+  elRuleExtra.checked = rules.extraTurnOnStore;
+  elRuleSweep.checked = rules.sweepOnGameEnd;
+  elRuleCapture.value = (rules.captureRule === CaptureRule.NONE) ? CaptureRule.NONE : CaptureRule.KALAH;
+  elRuleEmpty.checked = rules.allowMoveFromEmpty;
+  elRuleLoop.value = rules.loopLimit;
+  elRulePie.checked = rules.pieRule;
+  elRuleRandom.checked = rules.randomOpening;
+  elRuleMisere.checked = rules.misere;
+  elRulesError.textContent = "";
+  syncRulesForm();
+  elRulesModal.style.display = "block";
+}
+
+function closeRules() {
+  elRulesModal.style.display = "none";
+}
+
+/** Read the dialog. Returns { ok: true, rules } or { ok: false, error }. */
+function rulesFromForm() {
+  const pitsPerSide = parseInt(elRulePits.value, 10);
+  if (!(pitsPerSide >= 1 && pitsPerSide <= 40)) return { ok: false, error: "Pits per side must be 1..40." };
+
+  const opts = {
+    ruleSet: elRuleSet.value,
+    pitsPerSide,
+    seedsPerPit: parseInt(elRuleSeeds.value, 10),
+    pieRule: elRulePie.checked,
+    randomOpening: elRuleRandom.checked,
+    misere: elRuleMisere.checked,
+  };
+  if (opts.ruleSet === RuleSet.OWARE) {
+    opts.loopLimit = parseInt(elRuleLoop.value, 10);
+  } else {
+    opts.extraTurnOnStore = elRuleExtra.checked;
+    opts.sweepOnGameEnd = elRuleSweep.checked;
+    opts.captureRule = elRuleCapture.value;
+    opts.allowMoveFromEmpty = elRuleEmpty.checked;
+  }
+
+  try {
+    return { ok: true, rules: makeRules(opts) };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+elRulesBtn.onclick = () => {
+  if (anim) return;
+  openRules();
+};
+elRulesClose.onclick = () => closeRules();
+elRuleSet.onchange = () => syncRulesForm();
+
+elRulesApply.onclick = () => {
+  const r = rulesFromForm();
+  if (!r.ok) {
+    elRulesError.textContent = r.error;
+    return;
+  }
+  closeRules();
+  setRules(r.rules);
+  resetGame();
+};
+
+elRulesModal.addEventListener("click", (e) => {
+  if (e.target === elRulesModal) closeRules();
+});
+
+// ---------- Game record dialog ----------
+// Record of the game (record.js). Result and stores are those at the end of the main
+// line; mode, players and date are the imported record's if the game came from one.
+function currentRecord() {
+  let end = startState();
+  for (const m of lineTo(mainLineEnd(tree))) end = playMove(end, rules, m.pitIndex).state;
+
+  const players = [0, 1].map(side =>
+    (mode === Mode.AIvAI || side === aiSide()) ? `AI ${aiLabel(aiControls(side))}` : "Human");
+  return makeRecord({
+    rules,
+    tree,
+    comment: tree.comment || "",
+    mode,
+    players,
+    date: new Date().toISOString().slice(0, 10),
+    ...recordHeaders,
+    result: (isTerminal(end, rules) || getValidMoves(end, rules).length === 0) ? resultString(winnerOf(end, rules)) : "*",
+    stores: [...end.store],
+    openingSeed,
+    start: startPosition,
+  });
+}
+
+function recordText() {
+  const rec = currentRecord();
+  return (elRecordFormat.value === "json") ? recordToJSON(rec) : recordToText(rec);
+}
+
+function openRecord() {
+  elRecordText.value = recordText();
+  elRecordError.textContent = "";
+  elRecordModal.style.display = "block";
+}
+
+function closeRecord() {
+  elRecordModal.style.display = "none";
+}
+
+function importRecord(text) {
+  if (anim) return { ok: false, error: "Cannot load while animating" };
+  const parsed = parseRecord(text);
+  if (!parsed.ok) return parsed;
+
+  const { headers: h, tree: recTree, comment } = parsed.record;
+  const { mode: recMode, players, date, extra } = h;
+  return loadGame({
+    rules: h.rules, openingSeed: h.openingSeed, start: h.start, tree: recTree, comment,
+    headers: { mode: recMode, players, date, extra },
+  });
+}
+
+elRecordBtn.onclick = () => {
+  if (anim) return;
+  openRecord();
+};
+elRecordClose.onclick = () => closeRecord();
+elRecordFormat.onchange = () => {
+  elRecordText.value = recordText();
+  elRecordError.textContent = "";
+};
+
+elRecordImport.onclick = () => {
+  const r = importRecord(elRecordText.value);
+  if (!r.ok) {
+    elRecordError.textContent = (r.line != null) ? `Line ${r.line}, column ${r.column}: ${r.error}` : r.error;
+    return;
+  }
+  closeRecord();
+};
+
+elRecordCopy.onclick = async () => {
+  try {
+    await copyTextToClipboard(elRecordText.value);
+    elRecordError.textContent = "";
+    elStatus.textContent = "Copied game record to clipboard.";
+  } catch (e) {
+    alert("Clipboard copy failed.");
+  }
+};
+
+elRecordModal.addEventListener("click", (e) => {
+  if (e.target === elRecordModal) closeRecord();
+});
+
+// ---------- Game log upload (opt-in) ----------
+const LOG_ON_KEY = "mancala-log-on";
+
+// α-β depth of an AI in plies; null for a human, MCTS or a time limit
+function logDepth(c) {
+  if (!c || c.engine.value !== "alphabeta" || c.kind.value !== "ply") return null;
+  return parseInt(c.input.value, 10) || null;
+}
+
+// What worker.js stores for a finished game
+function gameLogPayload() {
+  const ai = side => (mode === Mode.AIvAI || side === aiSide()) ? aiControls(side) : null;
+  const payload = {
+    mode,
+    moves: movesToString(moves, openingSeed, rules),
+    depth: (mode === Mode.AIvAI) ? logDepth(aiP0) : (mode === Mode.HvH) ? null : logDepth(aiMain),
+    players: [0, 1].map(side => ai(side) ? `AI ${aiLabel(ai(side))}` : "Human"),
+    plies: moves.length,
+    finalStore0: state.store[0],
+    finalStore1: state.store[1],
+  };
+  if (mode === Mode.AIvAI) payload.depth1 = logDepth(aiP1);
+  if (startPosition) payload.start = positionToString(startPosition);
+  return payload;
+}
+
+async function logFinishedGame() {
+  if (!elLogOn.checked) return;
+  if (online && online.side !== 0) return; // P0's page uploads an online game
+  const key = movesToString(moves, openingSeed, rules) + (startPosition ? positionToString(startPosition) : "");
+  if (key === loggedKey) return;
+  loggedKey = key;
+  if (rules.pitsPerSide > 26) {
+    elLogStatus.textContent = "Last game not uploaded: the log stores move letters, which stop at 26 pits.";
+    return;
+  }
+
+  elLogStatus.textContent = "Uploading the last game…";
+  const r = await submitGame(gameLogPayload());
+  elLogStatus.textContent = r.ok ? "Last game uploaded."
+    : r.queued ? `Last game not uploaded (${r.error}); will retry later (${pendingCount()} queued).`
+    : `Last game rejected by the server (${r.error}).`;
+}
+
+// Retry uploads queued by earlier visits
+async function retryLogQueue() {
+  if (!elLogOn.checked || pendingCount() === 0) return;
+  const r = await flushQueue();
+  const parts = [];
+  if (r.sent) parts.push(`uploaded ${r.sent} queued game${r.sent === 1 ? "" : "s"}`);
+  if (r.dropped) parts.push(`dropped ${r.dropped}`);
+  if (r.pending) parts.push(`${r.pending} still queued`);
+  if (parts.length) elLogStatus.textContent = `Game log: ${parts.join(", ")}.`;
+}
+
+elLogOn.onchange = () => {
+  localStorage.setItem(LOG_ON_KEY, elLogOn.checked ? "1" : "0");
+  if (elLogOn.checked) retryLogQueue();
+};
+
+// ---------- Online room ----------
+const ROOM_POLL_MS = 1500;
+let roomPoll = null; // interval timer while in a room
+
+// Our move in the room: both seats taken, our side to move, the board up to date
+function isMyRoomTurn() {
+  const room = online.room;
+  return room.joined.every(Boolean) && !room.finished && state.toMove === online.side &&
+    !online.sending && moves.length === online.plies;
+}
+
+function enterRoom(seat, room) {
+  online = { code: seat.code, token: seat.token, side: seat.side, room, plies: 0, polling: false, sending: false, error: null };
+  saveSeat(online);
+  mode = Mode.HvH;
+  elMode.textContent = `Mode: ${mode}`;
+  elAutoAi.checked = false;
+  clearInterval(roomPoll);
+  roomPoll = setInterval(pollRoom, ROOM_POLL_MS);
+  applyRoom(room);
+}
+
+function leaveRoom() {
+  clearInterval(roomPoll);
+  roomPoll = null;
+  online = null;
+  clearSeat();
+  elRoomStatus.textContent = "";
+  renderAll();
+}
+
+// Bring the board up to the room: the opponent's one new move is played out as usual,
+// anything else (joining, a reload, a move the server refused) replaces the game.
+function applyRoom(room) {
+  online.room = room;
+  online.plies = room.plies;
+  if (!anim) {
+    // the string the room would have after the same rules, opening and line plus next
+    // (a set-up start position is never the room's)
+    const ours = next => startPosition ? null : movesToString(next ? [...moves, next] : moves, openingSeed, rules);
+    const parsed = parseMoveString(room.moves);
+    const next = parsed.ok ? parsed.moves[moves.length] : undefined;
+    if (ours(null) === room.moves) {
+      // up to date
+    } else if (next && ours({ mover: next.side, pitIndex: next.pitIndex }) === room.moves) {
+      startAnimationForMove(next.pitIndex);
+    } else {
+      const r = loadMovesFromString(room.moves);
+      if (!r.ok) online.error = r.error;
+    }
+  }
+  renderAll();
+}
+
+async function pollRoom() {
+  const seat = online;
+  if (!seat || seat.polling || seat.sending) return;
+  seat.polling = true;
+  const r = await fetchRoom(seat.code);
+  seat.polling = false;
+  if (online !== seat) return; // left meanwhile
+  if (seat.sending) return; // a move went out meanwhile: its answer is newer than this
+  if (!r.ok) {
+    if (r.status === 404) {
+      leaveRoom();
+      elRoomStatus.textContent = "The room has expired.";
+      return;
+    }
+    seat.error = r.error;
+    renderAll();
+    return;
+  }
+  seat.error = null;
+  if (r.room.plies < seat.plies) return; // an older copy (KV can lag behind)
+  applyRoom(r.room);
+}
+
+// Send the move just played on the board (ply = moves before it)
+async function sendRoomMove(pitIndex) {
+  const seat = online;
+  seat.sending = true;
+  const r = await sendMove(seat, pitIndex, moves.length - 1);
+  seat.sending = false;
+  if (online !== seat) return;
+  if (r.ok) {
+    seat.error = null;
+    applyRoom(r.room);
+  } else {
+    // the next poll puts the board back to the server's game
+    seat.error = `move not accepted: ${r.error}`;
+    seat.plies = 0;
+    renderAll();
+  }
+}
+
+function renderRoom() {
+  elRoomCreate.disabled = !!online;
+  elRoomJoin.disabled = !!online;
+  elRoomLeave.disabled = !online;
+  if (!online) return;
+
+  const room = online.room;
+  const other = 1 - online.side;
+  const what = !room.joined[other] ? "waiting for the opponent: give them the code"
+             : room.finished ? (room.winner === -1 ? "draw" : room.winner === online.side ? "you won" : "you lost")
+             : (room.toMove === online.side) ? "your move"
+             : "opponent to move";
+  elRoomStatus.textContent = `Room ${online.code}, you are P${online.side}: ${what}.` +
+    (online.error ? ` (${online.error})` : "");
+}
+
+elRoomCreate.onclick = async () => {
+  if (online || anim) return;
+  elRoomStatus.textContent = "Creating a room…";
+  const r = await createRoom(rulesToString(rules).slice(1, -1));
+  if (!r.ok) {
+    elRoomStatus.textContent = `Could not create a room (${r.error}).`;
+    return;
+  }
+  enterRoom(r, r.room);
+};
+
+elRoomJoin.onclick = async () => {
+  if (online || anim || !elRoomCode.value.trim()) return;
+  elRoomStatus.textContent = "Joining…";
+  const r = await joinRoom(elRoomCode.value);
+  if (!r.ok) {
+    elRoomStatus.textContent = `Could not join (${r.error}).`;
+    return;
+  }
+  enterRoom(r, r.room);
+};
+
+elRoomLeave.onclick = () => {
+  if (online && confirm("Leave the room? You cannot come back to it.")) leaveRoom();
+};
+
+// A seat kept by an earlier page: back into its game
+async function rejoinRoom() {
+  const seat = loadSeat();
+  if (!seat) return;
+  elRoomStatus.textContent = `Reconnecting to room ${seat.code}…`;
+  const r = await fetchRoom(seat.code);
+  if (r.ok) {
+    enterRoom(seat, r.room);
+  } else if (r.status === 404) {
+    clearSeat();
+    elRoomStatus.textContent = "Your last room has expired.";
+  } else {
+    elRoomStatus.textContent = `Could not reconnect to room ${seat.code} (${r.error}); reload to try again.`;
+  }
+}
+
+// ---------- Game link (URL hash) ----------
+let lastHash = null; // hash last written by syncHash (or applied)
+
+function aiSettings(c) {
+  return { engine: c.engine.value, limit: c.input.value, kind: c.kind.value, evalPreset: c.evalPreset.value };
+}
+
+function setAiSettings(c, ai) {
+  c.engine.value = ai.engine;
+  c.kind.value = ai.kind;
+  c.kind.onchange(); // input range for the kind
+  c.input.value = ai.limit;
+  c.evalPreset.value = ai.evalPreset;
+}
+
+function currentHash() {
+  return gameToHash({
+    rules,
+    mode,
+    ai: aiSettings(aiMain),
+    p0: aiSettings(aiP0),
+    p1: aiSettings(aiP1),
+    playouts: parseInt(elMctsPlayouts.value, 10) || 5000,
+    openingSeed,
+    start: startPosition,
+    tree,
+    record: (rules.pitsPerSide > 26) ? currentRecord() : null,
+  });
+}
+
+// Keep the address bar on the current game (not mid-move or while setting up a position)
+function syncHash() {
+  if (anim || edit) return;
+  const hash = currentHash();
+  if (hash === lastHash) return;
+  lastHash = hash;
+  history.replaceState(null, "", hash);
+}
+
+/** Open the game in a link's hash. Returns { ok: true } or { ok: false, error }. */
+function applyHash(hash) {
+  const link = parseHash(hash);
+  if (!link.ok || !link.game) return link;
+
+  // the game first: nothing changes if it does not load
+  const g = link.game;
+  const r = g.record ? importRecord(g.record) : loadGame({ ...g, comment: "", headers: null });
+  if (!r.ok) return r;
+
+  if (link.mode) {
+    mode = link.mode;
+    elMode.textContent = `Mode: ${mode}`;
+    elAutoAi.checked = false;
+  }
+  if (link.ai) setAiSettings(aiMain, link.ai);
+  if (link.p0) setAiSettings(aiP0, link.p0);
+  if (link.p1) setAiSettings(aiP1, link.p1);
+  if (link.playouts) elMctsPlayouts.value = String(link.playouts);
+  renderAll();
+  return r;
+}
+
+elShare.onclick = async () => {
+  syncHash();
+  try {
+    await copyTextToClipboard(window.location.href);
+    elStatus.textContent = "Copied game link to clipboard.";
+  } catch (e) {
+    alert("Clipboard copy failed.");
+  }
+};
+
+// a pasted link in the same tab
+window.addEventListener("hashchange", () => {
+  if (window.location.hash === lastHash || online) return;
+  const r = applyHash(window.location.hash);
+  if (!r.ok) alert(`Could not open the game link: ${r.error}`);
 });
 
+// ---------- Position editor ----------
+// Set-up positions start without an open pie swap or Oware loop count.
+function editableCopy(st) {
+  return initFromArrays(rules, st.pits[0], st.pits[1], st.store[0], st.store[1], st.toMove);
+}
+
+function openEditor() {
+  cancelAi();
+  edit = { state: editableCopy(shownState()) };
+  renderAll();
+}
+
+function closeEditor() {
+  edit = null;
+  renderAll();
+}
+
+// Add delta seeds (never below 0) to a pit or store: cell from pickCellFromPoint
+function editCell(cell, delta) {
+  const counts = (cell.kind === "store") ? edit.state.store : edit.state.pits[cell.side];
+  const i = (cell.kind === "store") ? cell.side : cell.idx;
+  counts[i] = Math.max(0, counts[i] + delta);
+  renderAll();
+}
+
+function renderEditor() {
+  elEditBar.style.display = edit ? "flex" : "none";
+  elEditPos.disabled = !!anim || !!edit;
+  if (!edit) return;
+
+  elEditToMove.textContent = `P${edit.state.toMove} to move`;
+  if (document.activeElement !== elEditString) elEditString.value = positionToString(edit.state, rules);
+  const check = checkPosition(edit.state, rules);
+  elEditInfo.textContent = check.ok ? [`${check.total} seeds`, ...check.warnings].join(" | ") : check.error;
+  elEditInfo.style.color = check.ok ? "" : "#b00";
+  elEditDone.disabled = !check.ok;
+}
+
+elEditPos.onclick = () => {
+  if (!anim) openEditor();
+};
+elEditCancel.onclick = () => closeEditor();
+
+elEditToMove.onclick = () => {
+  edit.state.toMove = 1 - edit.state.toMove;
+  renderAll();
+};
+
+elEditClear.onclick = () => {
+  const empty = Array(rules.pitsPerSide).fill(0);
+  edit.state = initFromArrays(rules, empty, empty, 0, 0, edit.state.toMove);
+  renderAll();
+};
+
+elEditStandard.onclick = () => {
+  edit.state = editableCopy(initStandard(rules, 0, openingSeed ?? 0));
+  renderAll();
+};
+
+elEditSetString.onclick = () => {
+  const p = parsePositionString(elEditString.value, rules);
+  if (!p.ok) {
+    elEditInfo.textContent = p.error;
+    elEditInfo.style.color = "#b00";
+    return;
+  }
+  if (rulesToString(p.rules) !== rulesToString(rules)) {
+    // a position under other rules: start a game with them and go on editing there
+    setRules(p.rules);
+    resetGame();
+  }
+  edit = { state: p.state };
+  renderAll();
+};
+
+elEditCopyString.onclick = async () => {
+  try {
+    await copyTextToClipboard(positionToString(edit.state, rules));
+    elStatus.textContent = "Copied position to clipboard.";
+  } catch (e) {
+    alert("Clipboard copy failed.");
+  }
+};
+
+// A new game from the set-up position (the AI moves if it is its turn)
+elEditDone.onclick = () => {
+  if (!checkPosition(edit.state, rules).ok) return;
+  loadGame({ rules, openingSeed: null, start: edit.state, tree: makeTree(), comment: "", headers: null });
+};
+
 // ---------- Drawing ----------
 function resizeCanvas() {
   const rect = canvas.getBoundingClientRect();
@@ -406,7 +1539,7 @@ function draw() {
 
   ctx.clearRect(0, 0, cssW, cssH);
 
-  const st = vis;
+  const st = edit ? edit.state : (viewNode !== null) ? viewState : vis;
   const n = rules.pitsPerSide;
   const L = layout(cssW, cssH, n);
 
@@ -434,6 +1567,16 @@ function draw() {
     ctx.fillText(side === 0 ? "P0" : "P1", r.x + 10, r.y - 6);
   }
 
+  // analysis: pit index -> score for the side to move, coloured worst (red) .. best (green)
+  const scores = edit ? null : currentScores();
+  const scoreByPit = new Map();
+  let bestScore = 0, worstScore = 0;
+  if (scores && scores.length) {
+    for (const x of scores) if (x.move !== SWAP_MOVE) scoreByPit.set(x.move, x.score);
+    bestScore = scores[0].score;
+    worstScore = scores[scores.length - 1].score;
+  }
+
   // pits
   ctx.font = "22px system-ui";
   for (let side = 0; side < 2; side++) {
@@ -446,16 +1589,20 @@ function draw() {
 
       const hoverHighlight =
         !anim &&
+        viewNode === null &&
         hoverPit &&
         hoverPit.side === side &&
         hoverPit.idx === i &&
         isHumansTurn() &&
-        side === state.toMove &&
-        state.pits[side][i] > 0;
+        side === state.toMove;
 
-        ctx.fillStyle = animHighlight ? "#fffacd"
-                    : hoverHighlight ? "#d9fdd3"   // light green
-                    : "#f5f5f5";
+      const score = (side === st.toMove) ? scoreByPit.get(i) : undefined;
+      const t = (bestScore === worstScore) ? 1 : (score - worstScore) / (bestScore - worstScore);
+
+      ctx.fillStyle = animHighlight ? "#fffacd"
+                  : hoverHighlight ? "#d9fdd3"   // light green
+                  : (score !== undefined) ? `hsl(${Math.round(120 * t)}, 70%, 86%)`
+                  : "#f5f5f5";
       drawRoundedRect(r.x, r.y, r.w, r.h, 14);
       ctx.fill();
       ctx.strokeStyle = "#999";
@@ -471,7 +1618,16 @@ function draw() {
       ctx.font = "13px system-ui";
       ctx.fillStyle = "#666";
       ctx.fillText(String(i + 1), r.x + 6, r.y + 16);
-      ctx.fillText(String.fromCharCode((side === 0 ? 97 : 65) + i), r.x + 22, r.y + 16);
+      ctx.fillText(moveToken(side, i, rules), r.x + 22, r.y + 16);
+
+      // bottom: search score and its distance from the best move
+      if (score !== undefined) {
+        ctx.font = "12px system-ui";
+        ctx.fillStyle = "#333";
+        const label = `${formatScore(score)}  ${score === bestScore ? "best" : "Δ" + formatScore(score - bestScore)}`;
+        const lw = ctx.measureText(label).width;
+        ctx.fillText(label, r.x + (r.w - lw)/2, r.y + r.h - 8);
+      }
       ctx.font = "22px system-ui";
     }
   }
@@ -479,58 +1635,276 @@ function draw() {
   // overlay status (small)
   ctx.font = "14px system-ui";
   ctx.fillStyle = "#333";
-  const tm = state.toMove;
-  ctx.fillText(`to_move: P${tm}` + (anim ? " (animating)" : ""), 10, 18);
+  if (edit) {
+    ctx.fillText("setting up: click a pit or store +1, shift-click or right-click −1, or scroll", 10, 18);
+  } else if (viewNode !== null) {
+    ctx.fillText(`viewing ply ${plyOf(viewNode)}, P${st.toMove} to move (Resume from here to play on)`, 10, 18);
+  } else {
+    const tm = state.toMove;
+    ctx.fillText(`to_move: P${tm}` + (anim ? " (animating)" : thinking ? " (thinking…)" : ""), 10, 18);
+  }
 
   // terminal overlay
-  if (state.terminal) {
+  if (state.terminal && viewNode === null && !edit) {
     ctx.fillStyle = "rgba(0,0,0,0.35)";
     ctx.fillRect(0, cssH/2 - 45, cssW, 90);
     ctx.fillStyle = "#fff";
     ctx.font = "32px system-ui";
-    const diff = state.store[0] - state.store[1];
-    const winner = diff > 0 ? "P0 wins" : diff < 0 ? "P1 wins" : "Draw";
+    const w = winnerOf(state, rules);
+    const winner = (w === -1 ? "Draw" : `P${w} wins`) + (rules.misere ? " (misère)" : "");
     const tw = ctx.measureText(winner).width;
     ctx.fillText(winner, (cssW - tw)/2, cssH/2 + 12);
   }
 }
 
+// ---------- Evaluation graph ----------
+const GRAPH_PAD = { left: 10, right: 10, top: 22, bottom: 10 };
+
+function graphLayout() {
+  const rect = graphCanvas.getBoundingClientRect();
+  const plies = graph.stores.length - 1;
+  const n = Math.max(plies, 1);
+  const innerW = rect.width - GRAPH_PAD.left - GRAPH_PAD.right;
+  return {
+    rect,
+    plies,
+    x: (ply) => GRAPH_PAD.left + innerW * ply / n,
+    plyAt: (cx) => Math.max(0, Math.min(plies, Math.round((cx - GRAPH_PAD.left) / innerW * n))),
+  };
+}
+
+function drawGraph() {
+  const G = graphLayout();
+  const w = G.rect.width;
+  const h = G.rect.height;
+  const dpr = window.devicePixelRatio || 1;
+  if (graphCanvas.width !== Math.floor(w * dpr) || graphCanvas.height !== Math.floor(h * dpr)) {
+    graphCanvas.width = Math.floor(w * dpr);
+    graphCanvas.height = Math.floor(h * dpr);
+  }
+  gctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  gctx.fillStyle = "#ffffff";
+  gctx.fillRect(0, 0, w, h);
+  if (G.plies < 0) return;
+
+  const innerH = h - GRAPH_PAD.top - GRAPH_PAD.bottom;
+  const values = graph.values;
+  const scale = Math.max(5, ...values.map(v => Math.abs(v)));
+  const yEval = (v) => GRAPH_PAD.top + innerH * (0.5 - v / (2 * scale));
+  const yStore = (s) => GRAPH_PAD.top + innerH * (1 - s / Math.max(1, graph.total));
+
+  // zero line
+  gctx.strokeStyle = "#ddd";
+  gctx.lineWidth = 1;
+  gctx.beginPath();
+  gctx.moveTo(G.x(0), yEval(0));
+  gctx.lineTo(G.x(G.plies), yEval(0));
+  gctx.stroke();
+
+  // store counts (own scale: empty .. all seeds)
+  for (const side of [0, 1]) {
+    gctx.strokeStyle = (side === 0) ? "#7fb3e0" : "#e8a87c";
+    gctx.beginPath();
+    graph.stores.forEach((s, i) => {
+      if (i === 0) gctx.moveTo(G.x(i), yStore(s[side]));
+      else gctx.lineTo(G.x(i), yStore(s[side]));
+    });
+    gctx.stroke();
+  }
+
+  // evaluation
+  gctx.strokeStyle = "#333";
+  gctx.lineWidth = 2;
+  gctx.beginPath();
+  values.forEach((v, i) => {
+    if (i === 0) gctx.moveTo(G.x(i), yEval(v));
+    else gctx.lineTo(G.x(i), yEval(v));
+  });
+  gctx.stroke();
+  gctx.fillStyle = "#333";
+  values.forEach((v, i) => {
+    gctx.beginPath();
+    gctx.arc(G.x(i), yEval(v), 2.5, 0, 2 * Math.PI);
+    gctx.fill();
+  });
+
+  // shown ply (no marker when the shown position is off the current line)
+  const shown = shownNode();
+  const onLine = isOnLine(shown, cursor);
+  // (while a move animates the cursor is already one ply past the graph)
+  const ply = onLine ? Math.min(plyOf(shown), G.plies) : G.plies;
+  if (onLine) {
+    gctx.strokeStyle = "#c33";
+    gctx.lineWidth = 1;
+    gctx.beginPath();
+    gctx.moveTo(G.x(ply), GRAPH_PAD.top);
+    gctx.lineTo(G.x(ply), h - GRAPH_PAD.bottom);
+    gctx.stroke();
+  }
+
+  const v = values[ply];
+  const s = graph.stores[ply];
+  gctx.font = "12px system-ui";
+  gctx.fillStyle = "#444";
+  gctx.fillText(
+    `Eval for P0 (seeds, d=${GRAPH_DEPTH}) | ply ${ply}: ${v === undefined ? "…" : formatScore(Math.round(v * 10) / 10)}` +
+    ` | stores ${s[0]}–${s[1]}` + (graphPending ? " | evaluating…" : ""),
+    GRAPH_PAD.left, 15);
+}
+
+graphCanvas.addEventListener("click", (e) => {
+  if (anim) return;
+  const G = graphLayout();
+  showPly(G.plyAt(e.clientX - G.rect.left));
+});
+
+// Moves panel: the main line first, then each variation on its own row, numbered
+// with the ply it starts at and indented by how deeply it is nested. Every move is a
+// span that shows its position when clicked (data-i indexes moveNodes).
+let moveNodes = [];
+let movesHtml = "";
+
+function escapeHtml(s) {
+  return s.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
 function renderMoves() {
-  let s = "";
-  const maxShow = 1000;
-  const start = Math.max(0, moves.length - maxShow);
+  const nodes = [];
+  const rows = [];
+  const shown = shownNode();
+
+  function moveSpan(n) {
+    const cls = ["mv"];
+    if (n === cursor) cls.push("cur");
+    if (n === shown && viewNode !== null) cls.push("view");
+    nodes.push(n);
+    return `<span class="${cls.join(" ")}" data-i="${nodes.length - 1}">${moveToken(n.mover, n.pitIndex, rules)}</span>` +
+      noteHtml(n) + commentHtml(n) + (rules.pitsPerSide > 26 ? " " : "");
+  }
+
+  function commentHtml(n) {
+    return n.comment ? ` <span class="comment">{${escapeHtml(n.comment)}}</span> ` : "";
+  }
 
-  for (let i = start; i < moves.length; i++) {
-    s += letterForMove(moves[i].mover, moves[i].pitIndex) + "";
-    if ((i - start + 1) % 40 === 0) s += "\n";
+  // annotation glyph; the engine's choice after anything but the best move
+  function noteHtml(n) {
+    const note = n.note;
+    if (!note) return "";
+    const bestLetter = moveToken(n.mover, note.best, rules);
+    const title = (note.label === "best") ? "best move" : `${note.label}: lost ${note.loss} seeds, best was ${bestLetter}`;
+    let html = `<span class="note ${note.label}" title="${title}">${GLYPHS[note.label]}</span>`;
+    if (note.label !== "best") html += `<span class="note-best">→${bestLetter}</span>`;
+    return html;
   }
-  s += `\n\nPlies: ${moves.length}`;
-  elMoves.textContent = s;
+
+  // line = start (a move node, or the root) and its main continuation
+  function addLine(start, ply, depth) {
+    let html = depth ? `${ply}. ` : "";
+    const variations = [];
+    let p = start.parent ? ply - 1 : ply; // ply of n once counted
+    for (let n = start; n; n = n.children[0]) {
+      if (n.parent) {
+        html += moveSpan(n);
+        p++;
+      }
+      for (const alt of n.children.slice(1)) variations.push({ alt, ply: p + 1 });
+    }
+    rows.push(`<div style="padding-left:${1.5 * depth}em">${html}</div>`);
+    for (const v of variations) addLine(v.alt, v.ply, depth + 1);
+  }
+
+  if (tree.comment) rows.push(`<div>${commentHtml(tree)}</div>`);
+  addLine(tree, 0, 0);
+  rows.push(`<div><br>Plies: ${moves.length}` + (cursor === tree ? " (start)" : "") + "</div>");
+
+  // only touch the DOM when something changed (renderAll runs on every hover)
+  const html = rows.join("");
+  if (html !== movesHtml) {
+    elMoves.innerHTML = html;
+    movesHtml = html;
+  }
+  moveNodes = nodes;
 }
 
+elMoves.addEventListener("click", (e) => {
+  const i = e.target.dataset ? e.target.dataset.i : undefined;
+  if (i !== undefined) showNode(moveNodes[Number(i)]);
+});
+
 function renderStatus() {
   const tm = state.toMove;
   let modeStr = mode;
   if (mode === Mode.AIvAI) {
-    modeStr += ` (P0 d=${elDepthP0.value}, P1 d=${elDepthP1.value})`;
+    modeStr += ` (P0 ${aiLabel(aiControls(0))}, P1 ${aiLabel(aiControls(1))})`;
   } else if (mode !== Mode.HvH) {
-    modeStr += ` (AI d=${elDepth.value})`;
+    modeStr += ` (AI ${aiLabel(aiControls(aiSide()))})`;
+  } else if (online) {
+    modeStr += ` (online, room ${online.code})`;
   }
-  elStatus.textContent = `Mode: ${modeStr} | to_move: P${tm}${anim ? " | animating" : ""}`;
+  const reached = (lastAiDepth !== null) ? ` | last search d=${lastAiDepth}` : "";
+  const busy = anim ? " | animating"
+             : thinking ? ` | thinking…${thinking.progress ? ` (${thinking.progress})` : ""}`
+             : "";
+  elStatus.textContent = `Mode: ${modeStr} | to_move: P${tm}${busy}${reached}${solvedText()}`;
+}
+
+// Engine readout, chess-GUI style: depth, score, nodes, speed, cutoffs, time, PV
+function renderEngineInfo() {
+  const e = engineInfo;
+  if (!e) {
+    elEngineInfo.textContent = "Engine: idle";
+    return;
+  }
+  if (e.error) {
+    elEngineInfo.textContent = `P${e.side} ${e.engine === "mcts" ? "MCTS" : "α-β"}: search failed (${e.error})`;
+    return;
+  }
+  const secs = e.timeMs / 1000;
+  const nps = (e.timeMs > 0) ? Math.round(e.nodes / secs) : 0;
+  const mcts = e.engine === "mcts";
+  const score = mcts ? `${(100 * e.score).toFixed(1)}%` : formatScore(e.score);
+  const lines = [
+    `P${e.side} ${mcts ? "MCTS" : "α-β"}${e.done ? "" : " (thinking…)"}`,
+    mcts
+      ? `depth ${e.depth}  win ${score}  playouts ${e.playouts.toLocaleString()}`
+      : `depth ${e.depth}  score ${score}  cutoffs ${e.cutoffs.toLocaleString()}`,
+    `nodes ${e.nodes.toLocaleString()}  ${nps.toLocaleString()} n/s  ${secs.toFixed(2)}s`,
+    `pv ${e.pv || "—"}`,
+  ];
+  elEngineInfo.textContent = lines.join("\n");
 }
 
 function renderAll() {
   updateTerminalFlag();
+  refreshAnalysis();
+  refreshGraph();
   draw();
+  drawGraph();
   renderMoves();
   renderStatus();
-
-  // disable some buttons while animating
-  const busy = !!anim;
-  elUndoMove.disabled = busy;
-  elUndoTurn.disabled = busy;
-  elAiMove.disabled = busy || mode === Mode.HvH;
-  elStepAi.disabled = busy || mode !== Mode.AIvAI;
+  renderAnalysisStatus();
+  renderEngineInfo();
+  renderAnnotateStatus();
+  renderEditor();
+  renderRoom();
+
+  // disable some buttons while animating or setting up a position, and the ones that
+  // would take the game away from an online room
+  // (undo stays usable while thinking: it cancels the search)
+  const busy = !!anim || !!edit;
+  for (const el of [elNew, elMode, elRulesBtn, elLoadMoves, elEditPos, elRecordImport]) el.disabled = !!online;
+  elUndoMove.disabled = busy || !!online;
+  elUndoTurn.disabled = busy || !!online;
+  elPromoteLine.disabled = busy || !branchStart(shownNode());
+  elDeleteLine.disabled = busy || !branchStart(shownNode());
+  for (const el of [elNavFirst, elNavBack, elNavForward, elNavLast]) el.disabled = busy;
+  elResume.disabled = busy || viewNode === null || !!online;
+  elAnalyzeGame.disabled = busy || !!annotating || moves.length === 0;
+  elAiMove.disabled = busy || !!thinking || mode === Mode.HvH;
+  elSwap.disabled = busy || !!thinking || !isHumansTurn() || !getValidMoves(state, rules).includes(SWAP_MOVE);
+  elStepAi.disabled = busy || !!thinking || mode !== Mode.AIvAI;
+
+  syncHash();
 }
 
 // ---------- Input: click pits ----------
@@ -561,24 +1935,60 @@ function pickPitFromPoint(clientX, clientY) {
   return null;
 }
 
+// Pit or store under a point: { kind: "pit", side, idx } | { kind: "store", side } | null
+function pickCellFromPoint(clientX, clientY) {
+  const pit = pickPitFromPoint(clientX, clientY);
+  if (pit) return { kind: "pit", ...pit };
+
+  const rect = canvas.getBoundingClientRect();
+  const cx = clientX - rect.left;
+  const cy = clientY - rect.top;
+  const L = layout(rect.width, rect.height, rules.pitsPerSide);
+  for (const side of [0, 1]) {
+    const r = (side === 0) ? L.store0 : L.store1;
+    if (cx >= r.x && cx <= r.x + r.w && cy >= r.y && cy <= r.y + r.h) return { kind: "store", side };
+  }
+  return null;
+}
+
 canvas.addEventListener("click", (e) => {
-  if (anim) return;
+  if (edit) {
+    const cell = pickCellFromPoint(e.clientX, e.clientY);
+    if (cell) editCell(cell, e.shiftKey ? -1 : 1);
+    return;
+  }
+  if (anim || thinking || viewNode !== null) return;
   if (!isHumansTurn()) return;
   if (state.terminal) return;
 
   const pit = pickPitFromClick(e.clientX, e.clientY);
   if (pit === null) return;
 
-  // validate non-empty unless allowMoveFromEmpty
-  const seeds = state.pits[state.toMove][pit];
-  if (seeds === 0) return;
+  // legal moves only (empty pits with allowMoveFromEmpty, Oware's must-feed)
+  if (!getValidMoves(state, rules).includes(pit)) return;
 
-  startAnimationForMove(pit);
+  if (!startAnimationForMove(pit)) return;
+  if (online) sendRoomMove(pit);
   renderAll();
 });
 
+canvas.addEventListener("contextmenu", (e) => {
+  if (!edit) return;
+  e.preventDefault();
+  const cell = pickCellFromPoint(e.clientX, e.clientY);
+  if (cell) editCell(cell, -1);
+});
+
+canvas.addEventListener("wheel", (e) => {
+  if (!edit) return;
+  const cell = pickCellFromPoint(e.clientX, e.clientY);
+  if (!cell) return;
+  e.preventDefault();
+  editCell(cell, e.deltaY < 0 ? 1 : -1);
+}, { passive: false });
+
 canvas.addEventListener("mousemove", (e) => {
-  if (anim || state.terminal) {
+  if (anim || edit || state.terminal) {
     if (hoverPit !== null) { hoverPit = null; renderAll(); }
     return;
   }
@@ -597,9 +2007,8 @@ canvas.addEventListener("mousemove", (e) => {
     return;
   }
 
-  // Only highlight non-empty pits
-  const seeds = state.pits[hit.side][hit.idx];
-  const nextHover = (seeds > 0) ? hit : null;
+  // Only highlight pits that are legal moves
+  const nextHover = getValidMoves(state, rules).includes(hit.idx) ? hit : null;
 
   // Only re-render if changed (prevents redraw spam)
   const changed =
@@ -619,6 +2028,55 @@ canvas.addEventListener("mouseleave", () => {
 // ---------- Buttons ----------
 elNew.onclick = () => { if (!anim) resetGame(); };
 
+elPromoteLine.onclick = () => {
+  if (anim) return;
+  promote(shownNode());
+  renderAll();
+};
+
+// Delete the variation holding the shown position and show where it branched off
+elDeleteLine.onclick = () => {
+  if (anim) return;
+  const start = branchStart(shownNode());
+  if (!start) return;
+  const from = start.parent;
+  if (isOnLine(start, cursor)) {
+    // the game itself was in that variation: continue from the branch point
+    // (not in an online room, whose game is the server's)
+    if (online) return;
+    cancelAi();
+    cursor = from;
+    removeBranch(start);
+    moves = lineTo(cursor);
+    replayFromStart();
+    renderAll();
+  } else {
+    removeBranch(start);
+    showNode(from);
+  }
+};
+
+elNavFirst.onclick = () => showNode(tree);
+elNavBack.onclick = () => navBack();
+elNavForward.onclick = () => navForward();
+elNavLast.onclick = () => navLast();
+elResume.onclick = () => resumeHere();
+
+// Arrow keys / Home / End step through the moves (not while typing or in a dialog)
+window.addEventListener("keydown", (e) => {
+  if (e.target && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+  if (edit || [elHelpModal, elRulesModal, elRecordModal].some(m => m.style.display === "block")) return;
+  const keys = {
+    ArrowLeft: navBack,
+    ArrowRight: navForward,
+    Home: () => showNode(tree),
+    End: navLast,
+  };
+  if (!keys[e.key]) return;
+  e.preventDefault();
+  keys[e.key]();
+});
+
 elMode.onclick = () => {
   if (anim) return;
   mode = nextMode(mode);
@@ -627,13 +2085,46 @@ elMode.onclick = () => {
   resetGame();
 };
 
+elAnalysisOn.onchange = () => renderAll();
+elAnalysisDepth.onchange = () => renderAll();
+
+// Switching an AI between "ply" and "s/move" swaps the input's range and default.
+function bindLimitKind(kind, input) {
+  kind.onchange = () => {
+    if (kind.value === "sec") {
+      Object.assign(input, { min: "0.1", max: "60", step: "0.1", value: "1.0" });
+    } else {
+      Object.assign(input, { min: "1", max: "20", step: "1", value: "6" });
+    }
+    renderAll();
+  };
+}
+bindLimitKind(elDepthKind, elDepth);
+bindLimitKind(elDepthKindP0, elDepthP0);
+bindLimitKind(elDepthKindP1, elDepthP1);
+for (const el of [elEvalPreset, elEvalP0, elEvalP1]) {
+  for (const name of Object.keys(EvalPresets)) el.add(new Option(name, name));
+}
+for (const el of [
+  elEngine, elEngineP0, elEngineP1, elDepth, elDepthP0, elDepthP1, elMctsPlayouts, elEvalPreset, elEvalP0, elEvalP1,
+]) {
+  el.onchange = () => renderAll();
+}
+
+elSwap.onclick = () => {
+  if (anim || thinking || !isHumansTurn()) return;
+  if (!startAnimationForMove(SWAP_MOVE)) return;
+  if (online) sendRoomMove(SWAP_MOVE);
+  renderAll();
+};
+
 elUndoMove.onclick = () => undoOne();
 elUndoTurn.onclick = () => undoToHumanTurn();
 
 elAiMove.onclick = () => {
   if (mode === Mode.HvH) return;
   if (mode === Mode.AIvAI) return; // use Step/Auto
-  if (anim) return;
+  if (anim || thinking) return;
   if (state.toMove !== aiSide()) return; // only if AI turn
   doAiMove();
   renderAll();
@@ -641,7 +2132,7 @@ elAiMove.onclick = () => {
 
 elStepAi.onclick = () => {
   if (mode !== Mode.AIvAI) return;
-  if (anim) return;
+  if (anim || thinking) return;
   if (state.terminal) return;
   doAiMove();
   renderAll();
@@ -659,8 +2150,8 @@ function loop(now) {
   // animation tick
   tickAnimation(now);
 
-  // AI triggers after animation ends
-  if (!anim && !state.terminal) {
+  // AI triggers after animation ends (doAiMove is a no-op while a search is in flight)
+  if (!anim && !thinking && !edit && !state.terminal && state !== aiFailedOn) {
     // Single-AI modes: auto-play AI when it's AI's turn
     if (isAiGame() && state.toMove === aiSide()) {
       doAiMove();
@@ -681,9 +2172,17 @@ function loop(now) {
 
 // ---------- init ----------
 function init() {
+  const hash = window.location.hash; // before resetGame writes the new game's hash
   elMode.textContent = `Mode: ${mode}`;
   resizeCanvas();
+  renderHelp();
   resetGame();
+  loadEndgame(true); // pick up a table saved by an earlier visit, if any
+  const link = applyHash(hash);
+  if (!link.ok) alert(`Could not open the game link: ${link.error}`);
+  elLogOn.checked = localStorage.getItem(LOG_ON_KEY) === "1";
+  retryLogQueue();
+  rejoinRoom();
   requestAnimationFrame(loop);
 }
 
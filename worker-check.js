@@ -0,0 +1,209 @@
+// worker-check.js
+// Runs worker.js against memkv.js and checks the routes end to end: logging and listing
+// games (/log, /games, /games/:id), /stats, the replay of logged games, the origin
+// allowlist, rate limit and body checks, and the life of an online room (create, join,
+// moves to the end of the game, the errors on the way, expiry).
+//
+// Usage (Node 20.19+ / 22, run from the repo root):
+//   node worker-check.js
+//
+// Prints one line per check and exits with code 1 if any failed.
+
+import worker from "./worker.js";
+import { makeMemoryKV } from "./memkv.js";
+import { ROOM_TTL_S } from "./rooms.js";
+import { getValidMoves, initStandard, playMove } from "./engine.js";
+import { parseRulesString } from "./notation.js";
+
+let clock = Date.now(); // the KV's clock, moved forward to expire rooms
+const env = { GAMES: makeMemoryKV({ now: () => clock }) };
+
+let failures = 0;
+
+function check(name, ok, detail) {
+  if (!ok) failures++;
+  console.log(`${ok ? "ok  " : "FAIL"} ${name}${!ok && detail !== undefined ? `: ${JSON.stringify(detail)}` : ""}`);
+}
+
+/**
+ * One request to the worker -> { status, headers, body } (body = the parsed JSON answer,
+ * or the text of an answer that is not JSON).
+ */
+async function call(method, path, body, headers = {}, callEnv = env) {
+  const res = await worker.fetch(new Request(`http://local${path}`, {
+    method,
+    headers: body === undefined ? headers : { ...headers, "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }), callEnv);
+  const text = await res.text();
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    parsed = text;
+  }
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+// ---------- games ----------
+async function checkGames() {
+  for (const game of [
+    { mode: "HvAI", depth: 4, moves: "c" },
+    { mode: "AIvAI", depth: 2, depth1: 6, moves: "cfA" },
+    { mode: "HvH", depth: 9, moves: "cfA" },
+  ]) {
+    const r = await call("POST", "/log", game);
+    check(`POST /log ${game.mode}`, r.status === 200, r);
+  }
+
+  let r = await call("GET", "/games");
+  const byMode = Object.fromEntries(r.body.games.map(g => [g.mode, g]));
+  check("GET /games lists the logged games only", r.status === 200 && r.body.cursor === null &&
+    r.body.games.length === 3 && byMode.HvAI && byMode.AIvAI && byMode.HvH, r.body);
+
+  const paged = [];
+  let cursor = null;
+  for (let page = 0; page < 10; page++) {
+    r = await call("GET", `/games?limit=1${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""}`);
+    paged.push(...r.body.games.map(g => g.id));
+    cursor = r.body.cursor;
+    if (cursor === null) break;
+  }
+  check("GET /games pages through every game", paged.length === 3 && new Set(paged).size === 3, paged);
+
+  r = await call("GET", "/games?mode=HvH");
+  check("GET /games?mode=", r.body.games.length === 1 && r.body.games[0].id === byMode.HvH.id, r.body);
+  check("HvH games have no depth", byMode.HvH.depth === null, byMode.HvH);
+  r = await call("GET", "/games?depth=6");
+  check("GET /games?depth= matches P1's depth in AIvAI", r.body.games.length === 1 && r.body.games[0].id === byMode.AIvAI.id, r.body);
+  r = await call("GET", `/games?from=${Date.now() + 3600 * 1000}`);
+  check("GET /games?from= in the future finds nothing", r.status === 200 && r.body.games.length === 0, r.body);
+  r = await call("GET", "/games?depth=deep");
+  check("GET /games rejects a bad filter", r.status === 400, r);
+
+  r = await call("GET", `/games/${byMode.AIvAI.id}`);
+  check("GET /games/:id", r.status === 200 && r.body.moves === "cfA" && r.body.depth1 === 6, r.body);
+  r = await call("GET", "/games/no-such-game");
+  check("GET /games/:id of an unknown id", r.status === 404, r);
+  r = await call("GET", "/games/meta:stats");
+  check("GET /games/:id does not serve internal keys", r.status === 404, r);
+}
+
+// ---------- stats ----------
+async function checkStats() {
+  const r = await call("GET", "/stats");
+  const modes = r.status === 200 ? r.body.buckets.map(b => b.mode).sort() : [];
+  check("GET /stats counts the logged games", r.status === 200 && r.body.games === 3 &&
+    JSON.stringify(modes) === JSON.stringify(["AIvAI", "HvAI", "HvH"]), r.body);
+}
+
+// ---------- replay of logged games ----------
+async function checkReplay() {
+  // "cfA": P0 sows c (into the store: extra turn) and f, then P1 plays A
+  let r = await call("POST", "/log", { mode: "HvAI", depth: 3, moves: "cfA", plies: 99, finalStore0: 40, finalStore1: 0 });
+  check("POST /log of a game with wrong totals", r.status === 200, r);
+  r = await call("GET", "/games?depth=3");
+  const game = r.body.games[0];
+  check("plies and stores are computed by the replay", game && game.plies === 3 &&
+    game.finalStore0 === 2 && game.finalStore1 === 0 && game.finished === false && game.winner === null, game);
+
+  r = await call("POST", "/log", { mode: "HvH", moves: "cA" });
+  check("POST /log rejects a move by the wrong side", r.status === 400, r);
+  r = await call("POST", "/log", { mode: "HvH", moves: "cq" });
+  check("POST /log rejects a pit that is not on the board", r.status === 400, r);
+}
+
+// ---------- origins, limits and the body schema ----------
+async function checkLimits() {
+  let r = await call("POST", "/log", { mode: "HvH", moves: "cA" });
+  check("errors name the offending field", r.status === 400 && r.body.field === "moves", r);
+  r = await call("POST", "/log", { mode: "HvH", moves: "c", extra: 1 });
+  check("POST /log rejects unknown fields", r.status === 400 && r.body.field === "extra", r);
+  r = await call("POST", "/log", { mode: "HvH", moves: "c".repeat(70 * 1024) });
+  check("POST /log rejects a body over the size cap", r.status === 413, r);
+
+  const guarded = { ...env, ALLOWED_ORIGINS: "https://mancala.example.com" };
+  r = await call("GET", "/stats", undefined, { Origin: "https://elsewhere.example.com" }, guarded);
+  check("an origin outside the allowlist is refused", r.status === 403 && !r.headers.get("Access-Control-Allow-Origin"), r);
+  r = await call("GET", "/stats", undefined, { Origin: "https://mancala.example.com" }, guarded);
+  check("an allowed origin gets its CORS header",
+    r.status === 200 && r.headers.get("Access-Control-Allow-Origin") === "https://mancala.example.com", r);
+
+  const ip = { "CF-Connecting-IP": "192.0.2.1" };
+  let statuses = [];
+  for (let i = 0; i < 31; i++) statuses.push((await call("POST", "/log", { mode: "HvH", moves: "c" }, ip)).status);
+  r = await call("POST", "/log", { mode: "HvH", moves: "c" }, ip);
+  check("POST /log is rate limited per address", statuses.slice(0, 30).every(s => s === 200) &&
+    statuses[30] === 429 && r.status === 429 && Number(r.headers.get("Retry-After")) > 0, statuses);
+  statuses = [(await call("POST", "/log", { mode: "HvH", moves: "c" }, { "CF-Connecting-IP": "192.0.2.2" })).status];
+  check("other addresses are not limited", statuses[0] === 200, statuses);
+
+  const broken = {
+    ...guarded,
+    GAMES: { ...env.GAMES, get: async () => { throw new Error("KV is down"); } },
+  };
+  r = await call("GET", "/stats", undefined, { Origin: "https://mancala.example.com" }, broken);
+  check("an unexpected failure is a JSON 500 with CORS headers", r.status === 500 && typeof r.body.error === "string" &&
+    r.headers.get("Access-Control-Allow-Origin") === "https://mancala.example.com", r);
+}
+
+// ---------- rooms ----------
+async function checkRooms() {
+  let r = await call("POST", "/rooms", { rules: "zzz" });
+  check("POST /rooms rejects unknown rules", r.status === 400, r);
+
+  r = await call("POST", "/rooms", { side: 1 });
+  check("POST /rooms", r.status === 200 && r.body.side === 1 && r.body.room.joined[1] && !r.body.room.joined[0], r.body);
+  const code = r.body.code;
+  const tokens = [null, r.body.token];
+
+  r = await call("POST", `/rooms/${code}/move`, { token: tokens[1], pit: 0, ply: 0 });
+  check("no moves before the opponent joins", r.status === 409, r);
+
+  r = await call("POST", `/rooms/${code.toLowerCase()}/join`);
+  check("POST /rooms/:code/join (code in any case)", r.status === 200 && r.body.side === 0, r.body);
+  tokens[0] = r.body.token;
+  r = await call("POST", `/rooms/${code}/join`);
+  check("a full room cannot be joined", r.status === 409, r);
+
+  r = await call("POST", `/rooms/${code}/move`, { token: tokens[1], pit: 0, ply: 0 });
+  check("a move out of turn is refused", r.status === 409, r);
+  r = await call("POST", `/rooms/${code}/move`, { token: "nobody", pit: 0, ply: 0 });
+  check("a move without a seat is refused", r.status === 403, r);
+  r = await call("POST", `/rooms/${code}/move`, { token: tokens[0], pit: 0, ply: 3 });
+  check("a move for the wrong ply is refused", r.status === 409, r);
+
+  // play the first legal move each turn, following along with the engine
+  const rules = parseRulesString("").rules;
+  let st = initStandard(rules, 0, 0);
+  let room = null;
+  for (let ply = 0; ply < 500; ply++) {
+    const pit = getValidMoves(st, rules)[0];
+    r = await call("POST", `/rooms/${code}/move`, { token: tokens[st.toMove], pit, ply });
+    if (r.status !== 200) break;
+    room = r.body.room;
+    st = playMove(st, rules, pit).state;
+    if (room.finished) break;
+  }
+  check("moves are played to the end of the game", r.status === 200 && room.finished && room.winner !== null, r);
+  r = await call("POST", `/rooms/${code}/move`, { token: tokens[0], pit: 0, ply: room.plies });
+  check("no moves after the end", r.status === 409, r);
+
+  r = await call("GET", `/rooms/${code}`);
+  check("GET /rooms/:code", r.status === 200 && r.body.room.moves === room.moves && r.body.room.finished, r.body);
+
+  clock += (ROOM_TTL_S - 60) * 1000;
+  r = await call("GET", `/rooms/${code}`);
+  check("a room lasts a day after its last move", r.status === 200, r);
+  clock += 120 * 1000;
+  r = await call("GET", `/rooms/${code}`);
+  check("then it expires", r.status === 404, r);
+}
+
+await checkGames();
+await checkStats();
+await checkReplay();
+await checkLimits();
+await checkRooms();
+console.log(failures ? `${failures} check(s) failed` : "all checks passed");
+if (failures) process.exitCode = 1;
@@ -1,76 +1,417 @@
-export default {
-  async fetch(request, env) {
-    if (request.method === "OPTIONS") {
-      return new Response(null, {
-        status: 204,
-        headers: corsHeaders(request),
-      });
-    }
+// worker.js
+// Cloudflare Worker storing logged games and online rooms in KV.
+//
+// Routes:
+//   POST /log          store a game after replaying it (KV key = its id, metadata =
+//                      GAME_META fields)
+//   GET  /games        list games (in KV key order, i.e. not by date);
+//                      filters ?mode=&depth=&from=&to=, paging ?limit=&cursor=
+//   GET  /games/:id    one stored record
+//   GET  /stats        win rates, lengths and openings of all logged games (gamestats.js),
+//                      kept up to date by /log in the meta:stats key
+//   POST /rooms        new online room { rules?, side? } -> { code, token, side, room }
+//   GET  /rooms/:code  { room } (rooms.js roomView), polled by both players
+//   POST /rooms/:code/join   take the free seat -> { code, token, side, room }
+//   POST /rooms/:code/move   { token, pit, ply } -> { room }
+// Errors are JSON: { error, field? } (field = the offending request field).
+//
+// Environment:
+//   GAMES            KV namespace; keys containing ":" (meta:stats, meta:rate:...,
+//                    room:...) are not logged games. memkv.js stands in for it locally.
+//   ALLOWED_ORIGINS  comma-separated origins that may call the routes from a browser,
+//                    e.g. "https://mancala.example.com,http://localhost:8000"; unset or
+//                    "*" allows any. Requests without an Origin header are not browsers
+//                    and always pass.
 
-    const url = new URL(request.url);
-    if (url.pathname !== "/log") {
-      return new Response("Not found", { status: 404, headers: corsHeaders(request) });
-    }
+import { initStandard, checkPosition, getValidMoves, playMove, isTerminal, winnerOf, SWAP_MOVE } from "./engine.js";
+import { parseMoveString, parsePositionString, moveToken } from "./notation.js";
+import { emptyStats, addGame, statsSummary } from "./gamestats.js";
+import { validate } from "./schema.js";
+import { createRoom, joinRoom, getRoom, playRoomMove } from "./rooms.js";
 
-    if (request.method !== "POST") {
-      return new Response("Method not allowed", { status: 405, headers: corsHeaders(request) });
-    }
+// record fields copied into the KV metadata, so listing needs no get per game
+const GAME_META = ["ts", "mode", "depth", "depth1", "plies", "finalStore0", "finalStore1", "winner", "finished"];
+
+const MAX_LIMIT = 100;
+const MAX_SCAN_PAGES = 10; // KV list pages read per /games request at most
+const STATS_KEY = "meta:stats";
 
-    let data;
+export default {
+  async fetch(request, env) {
+    let res;
     try {
-      data = await request.json();
+      res = await dispatch(request, env);
     } catch {
-      return new Response("Bad JSON", { status: 400, headers: corsHeaders(request) });
+      // a KV failure or a bug: still a JSON answer the page can read (with CORS headers)
+      res = json({ error: "Internal error; try again later" }, 500);
     }
+    for (const [k, v] of Object.entries(corsHeaders(request, env))) res.headers.set(k, v);
+    return res;
+  },
+};
+
+async function dispatch(request, env) {
+  if (request.method === "OPTIONS") return new Response(null, { status: 204 });
+  if (!originAllowed(request, env)) return json({ error: "Origin not allowed" }, 403);
+
+  const url = new URL(request.url);
+  const route = (method, handler) => (request.method === method)
+    ? handler()
+    : json({ error: "Method not allowed" }, 405);
+
+  if (url.pathname === "/log") return route("POST", () => handleLog(request, env));
+  if (url.pathname === "/games") return route("GET", () => handleListGames(url, env));
+  const one = /^\/games\/([^/]+)$/.exec(url.pathname);
+  if (one) return route("GET", () => handleGetGame(decodeURIComponent(one[1]), env));
+  if (url.pathname === "/stats") return route("GET", () => handleStats(env));
+  if (url.pathname === "/rooms") return route("POST", () => handleCreateRoom(request, env));
+  const room = /^\/rooms\/([^/]+)(?:\/(join|move))?$/.exec(url.pathname);
+  if (room) {
+    const code = decodeURIComponent(room[1]);
+    if (room[2] === "join") return route("POST", () => handleJoinRoom(request, code, env));
+    if (room[2] === "move") return route("POST", () => handleRoomMove(request, code, env));
+    return route("GET", () => roomResponse(getRoom(env.GAMES, code)));
+  }
+
+  return json({ error: "Not found" }, 404);
+}
+
+const MODES = ["HvAI", "AIvH", "HvH", "AIvAI"];
+// AI search depth in plies (P0's in AIvAI, P1's in depth1); null when an AI plays by
+// time or playouts instead
+const DEPTH = { type: "integer", minimum: 1, maximum: 50, nullable: true };
+const STORE = { type: "integer", minimum: 0, nullable: true };
+
+// body of POST /log, as gamelog.js sends it
+const LOG_SCHEMA = {
+  type: "object",
+  required: ["mode", "moves"],
+  additionalProperties: false,
+  properties: {
+    mode: { type: "string", enum: MODES },
+    moves: { type: "string", minLength: 1, maxLength: 20000 },
+    depth: DEPTH,     // ignored in HvH
+    depth1: DEPTH,    // AIvAI only
+    players: { type: "array", minItems: 2, maxItems: 2, items: { type: "string", maxLength: 100 }, nullable: true },
+    start: { type: "string", maxLength: 2000, nullable: true },
+    // checked for shape only: the replay computes them
+    plies: { type: "integer", minimum: 0, nullable: true },
+    finalStore0: STORE,
+    finalStore1: STORE,
+  },
+};
+
+// body of POST /rooms: rules as rulesToString tokens without the brackets, the creator's seat
+const ROOM_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    rules: { type: "string", maxLength: 200 },
+    side: { type: "integer", minimum: 0, maximum: 1 },
+  },
+};
+
+// body of POST /rooms/:code/move: pit index (-1 = pie swap) as the move after ply plies
+const MOVE_SCHEMA = {
+  type: "object",
+  required: ["token", "pit", "ply"],
+  additionalProperties: false,
+  properties: {
+    token: { type: "string", maxLength: 100 },
+    pit: { type: "integer", minimum: -1, maximum: 25 },
+    ply: { type: "integer", minimum: 0 },
+  },
+};
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// at most RATE_LIMIT games logged, rooms created or joined per IP in each RATE_WINDOW_S
+// window (KV TTLs are at least 60 s)
+const RATE_LIMIT = 30;
+const RATE_WINDOW_S = 600;
+
+/**
+ * Count a request from this IP in KV (meta:rate:<ip>:<window>, expiring with the
+ * window). Returns the seconds until the window ends when over the limit, else 0.
+ * KV is eventually consistent, so a burst from several places at once can get past
+ * the limit by a few requests.
+ */
+async function rateLimited(request, env) {
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+  const nowS = Date.now() / 1000;
+  const period = Math.floor(nowS / RATE_WINDOW_S);
+  const key = `meta:rate:${ip}:${period}`;
+  const count = parseInt(await env.GAMES.get(key), 10) || 0;
+  if (count >= RATE_LIMIT) return Math.ceil((period + 1) * RATE_WINDOW_S - nowS);
+  await env.GAMES.put(key, String(count + 1), { expirationTtl: RATE_WINDOW_S });
+  return 0;
+}
+
+function tooMany(wait) {
+  const res = json({ error: "Too many requests from this address; try again later" }, 429);
+  res.headers.set("Retry-After", String(wait));
+  return res;
+}
+
+// The body as text, or null past MAX_BODY_BYTES (checking Content-Length first when sent)
+async function readBody(request) {
+  if (Number(request.headers.get("Content-Length")) > MAX_BODY_BYTES) return null;
+  const text = await request.text();
+  return (new TextEncoder().encode(text).length > MAX_BODY_BYTES) ? null : text;
+}
 
-    // Minimal validation
-    const mode = data.mode;
-    const moves = data.moves;
-    const depth = data.depth;
+/**
+ * The JSON body checked against schema (an empty body reads as {}).
+ * Returns { ok: true, data } or { ok: false, response } with the error response.
+ */
+async function readJson(request, schema) {
+  const text = await readBody(request);
+  if (text === null) return { ok: false, response: json({ error: `Request body over ${MAX_BODY_BYTES} bytes` }, 413) };
+  let data;
+  try {
+    data = text.trim() ? JSON.parse(text) : {};
+  } catch {
+    return { ok: false, response: json({ error: "The request body is not valid JSON" }, 400) };
+  }
+  const valid = validate(schema, data);
+  if (!valid.ok) return { ok: false, response: json({ error: valid.error, field: valid.path || undefined }, 400) };
+  return { ok: true, data };
+}
 
-    const allowedModes = new Set(["HvAI", "AIvH", "HvH"]);
-    if (!allowedModes.has(mode)) {
-      return new Response("Invalid mode", { status: 400, headers: corsHeaders(request) });
+async function handleLog(request, env) {
+  const wait = await rateLimited(request, env);
+  if (wait) return tooMany(wait);
+
+  const body = await readJson(request, LOG_SCHEMA);
+  if (!body.ok) return body.response;
+  const data = body.data;
+
+  const { mode, moves } = data;
+  const start = data.start ?? null;
+  // plies and the final stores come from the replay, not from the client
+  const game = replayGame(moves, start);
+  if (!game.ok) return json({ error: game.error, field: game.field }, 400);
+
+  // Create an ID
+  const id = crypto.randomUUID();
+  const record = {
+    id,
+    ts: Date.now(),
+    mode,
+    depth: mode === "HvH" ? null : (data.depth ?? null),
+    depth1: mode === "AIvAI" ? (data.depth1 ?? null) : null,
+    players: data.players ?? null,
+    start,
+    moves,
+    plies: game.plies,
+    finalStore0: game.store[0],
+    finalStore1: game.store[1],
+    winner: game.winner,
+    finished: game.finished,
+  };
+
+  // Store it
+  await env.GAMES.put(id, JSON.stringify(record), { metadata: gameMeta(record) });
+  await updateStats(env, record);
+
+  return json({ ok: true, id });
+}
+
+/**
+ * Replay the main line of a move string (rules block, opening seed) from the standard
+ * start, or from start (a position string without rules) when given.
+ * Returns { ok: true, plies, store: [P0, P1], finished, winner } (winner 0 | 1 | -1 for a
+ * draw, null while unfinished) or { ok: false, error, field } for illegal moves, moves
+ * by the wrong side and moves after the end of the game (field "moves" or "start").
+ */
+function replayGame(moves, start) {
+  const parsed = parseMoveString(moves);
+  if (!parsed.ok) return { ok: false, error: `Invalid moves: ${parsed.error}`, field: "moves" };
+  const rules = parsed.rules;
+
+  let st;
+  if (start !== null) {
+    const pos = parsePositionString(start, rules);
+    if (!pos.ok) return { ok: false, error: `Invalid start: ${pos.error}`, field: "start" };
+    if (pos.rules !== rules) return { ok: false, error: "Invalid start: the rules belong in the move string", field: "start" };
+    const check = checkPosition(pos.state, rules);
+    if (!check.ok) return { ok: false, error: `Invalid start: ${check.error}`, field: "start" };
+    st = pos.state;
+  } else {
+    if (rules.randomOpening && parsed.openingSeed === null) {
+      return { ok: false, error: "Invalid moves: missing opening seed for a random-opening game", field: "moves" };
     }
-    if (typeof moves !== "string" || moves.length < 1 || moves.length > 20000) {
-      return new Response("Invalid moves", { status: 400, headers: corsHeaders(request) });
+    st = initStandard(rules, 0, parsed.openingSeed ?? 0);
+  }
+
+  let finished = isTerminal(st, rules);
+  for (const [i, m] of parsed.moves.entries()) {
+    const token = moveToken(m.side, m.pitIndex, rules);
+    if (finished) return { ok: false, error: `Move '${token}' (ply ${i + 1}) after the end of the game`, field: "moves" };
+    // a swap is always by the side to move
+    if (m.pitIndex !== SWAP_MOVE && m.side !== st.toMove) {
+      return { ok: false, error: `Turn mismatch at '${token}' (ply ${i + 1}, expected P${st.toMove})`, field: "moves" };
     }
-    if (mode === "HvH") {
-      // depth should be null/undefined
-    } else {
-      if (!Number.isInteger(depth) || depth < 1 || depth > 50) {
-        return new Response("Invalid depth", { status: 400, headers: corsHeaders(request) });
+    const res = getValidMoves(st, rules).includes(m.pitIndex) ? playMove(st, rules, m.pitIndex) : null;
+    if (!res || !res.ok) return { ok: false, error: `Illegal move '${token}' (ply ${i + 1})`, field: "moves" };
+    st = res.state;
+    finished = res.terminal || isTerminal(st, rules);
+  }
+  return {
+    ok: true,
+    plies: parsed.moves.length,
+    store: [...st.store],
+    finished,
+    winner: finished ? winnerOf(st, rules) : null,
+  };
+}
+
+function gameMeta(record) {
+  return Object.fromEntries(GAME_META.map(k => [k, record[k] ?? null]));
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// ?from= / ?to= as an ISO date (a whole UTC day for "to") or time, or ms since the epoch
+function parseTime(s, endOfDay) {
+  if (/^\d+$/.test(s)) return Number(s);
+  const t = Date.parse(s);
+  if (Number.isNaN(t)) return null;
+  return (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s)) ? t + 24 * 3600 * 1000 - 1 : t;
+}
+
+/** Filters of a /games request: { ok: true, filter } or { ok: false, error }. */
+function parseGameFilter(params) {
+  const filter = { mode: null, depth: null, from: null, to: null };
+  if (params.has("mode")) filter.mode = params.get("mode");
+  if (params.has("depth")) {
+    filter.depth = Number(params.get("depth"));
+    if (!Number.isInteger(filter.depth)) return { ok: false, error: "depth must be a whole number" };
+  }
+  for (const key of ["from", "to"]) {
+    if (!params.has(key)) continue;
+    filter[key] = parseTime(params.get(key), key === "to");
+    if (filter[key] === null) return { ok: false, error: `${key} must be a date, a time or ms since the epoch` };
+  }
+  return { ok: true, filter };
+}
+
+// depth matches either AI of an AIvAI game
+function matchesFilter(meta, f) {
+  if (f.mode !== null && meta.mode !== f.mode) return false;
+  if (f.depth !== null && meta.depth !== f.depth && meta.depth1 !== f.depth) return false;
+  if (f.from !== null && !(meta.ts >= f.from)) return false;
+  if (f.to !== null && !(meta.ts <= f.to)) return false;
+  return true;
+}
+
+/**
+ * GET /games -> { games: [{ id, ...GAME_META fields }], cursor }
+ * cursor (null at the end) continues the listing; a page may hold fewer than limit
+ * games while there are more, because at most MAX_SCAN_PAGES KV pages are filtered
+ * per request.
+ */
+async function handleListGames(url, env) {
+  const params = url.searchParams;
+  const parsed = parseGameFilter(params);
+  if (!parsed.ok) return json({ error: parsed.error }, 400);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.get("limit"), 10) || 20));
+
+  const games = [];
+  let cursor = params.get("cursor") || undefined;
+  let done = false;
+  for (let page = 0; page < MAX_SCAN_PAGES && games.length < limit && !done; page++) {
+    // never read past limit matches, so the cursor does not skip any
+    const res = await env.GAMES.list({ limit: limit - games.length, cursor });
+    for (const key of res.keys) {
+      if (key.name.includes(":")) continue;
+      let meta = key.metadata;
+      if (!meta) {
+        // stored before records had metadata
+        const record = await env.GAMES.get(key.name, "json");
+        if (!record) continue;
+        meta = gameMeta(record);
       }
+      if (matchesFilter(meta, parsed.filter)) games.push({ id: key.name, ...meta });
     }
+    done = res.list_complete;
+    cursor = res.cursor;
+  }
+  return json({ games, cursor: done ? null : cursor });
+}
 
-    // Create an ID
-    const id = crypto.randomUUID();
-    const record = {
-      id,
-      ts: Date.now(),
-      mode,
-      depth: mode === "HvH" ? null : depth,
-      moves,
-      plies: data.plies ?? null,
-      finalStore0: data.finalStore0 ?? null,
-      finalStore1: data.finalStore1 ?? null,
-    };
-
-    // Store it
-    await env.GAMES.put(id, JSON.stringify(record));
-
-    return new Response("ok", { status: 200, headers: corsHeaders(request) });
-  },
-};
+async function handleGetGame(id, env) {
+  if (id.includes(":")) return json({ error: "Not found" }, 404);
+  const record = await env.GAMES.get(id, "json");
+  if (!record) return json({ error: "Not found" }, 404);
+  return json(record);
+}
 
-function corsHeaders(request) {
-  // Lock this down to your real domain once you're happy:
-  // e.g. "https://mancala.stephenlasinis.com"
-  const origin = request.headers.get("Origin") || "*";
-  return {
-    "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
+// KV has no transactions: two games logged at the same moment can both read the old
+// totals, and one of them is then missing from the stats (the game itself is stored).
+async function updateStats(env, record) {
+  const stats = (await env.GAMES.get(STATS_KEY, "json")) || emptyStats();
+  addGame(stats, record);
+  await env.GAMES.put(STATS_KEY, JSON.stringify(stats));
+}
+
+/** GET /stats -> statsSummary (gamestats.js) of every game logged so far. */
+async function handleStats(env) {
+  const stats = (await env.GAMES.get(STATS_KEY, "json")) || emptyStats();
+  return json(statsSummary(stats));
+}
+
+// rooms.js results: { ok: false, status, error } or the rest of the result as JSON
+async function roomResponse(pending) {
+  const { ok, status, error, ...rest } = await pending;
+  return ok ? json(rest) : json({ error }, status);
+}
+
+async function handleCreateRoom(request, env) {
+  const wait = await rateLimited(request, env);
+  if (wait) return tooMany(wait);
+  const body = await readJson(request, ROOM_SCHEMA);
+  if (!body.ok) return body.response;
+  return roomResponse(createRoom(env.GAMES, body.data.rules ?? "", body.data.side ?? 0));
+}
+
+async function handleJoinRoom(request, code, env) {
+  const wait = await rateLimited(request, env);
+  if (wait) return tooMany(wait);
+  return roomResponse(joinRoom(env.GAMES, code));
+}
+
+async function handleRoomMove(request, code, env) {
+  const body = await readJson(request, MOVE_SCHEMA);
+  if (!body.ok) return body.response;
+  const { token, pit, ply } = body.data;
+  return roomResponse(playRoomMove(env.GAMES, code, token, pit, ply));
+}
+
+function allowedOrigins(env) {
+  return (env.ALLOWED_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+}
+
+function originAllowed(request, env) {
+  const origin = request.headers.get("Origin");
+  const allowed = allowedOrigins(env);
+  return !origin || allowed.length === 0 || allowed.includes("*") || allowed.includes(origin);
+}
+
+// Without an allowlist any origin is echoed back; with one, only its own origins are
+// (a preflight from another origin gets no Allow-Origin and the browser stops there).
+function corsHeaders(request, env) {
+  const headers = {
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
     "Access-Control-Allow-Headers": "Content-Type",
     "Access-Control-Max-Age": "86400",
+    "Vary": "Origin",
   };
-}
\ No newline at end of file
+  if (originAllowed(request, env)) headers["Access-Control-Allow-Origin"] = request.headers.get("Origin") || "*";
+  return headers;
+}